@@ -3,10 +3,11 @@
  * Works across Foundry v11-13 with D&D5e system
  */
 
+import { RollCapture } from './utils/roll-capture.js';
+
 export class AbilityRoller {
   constructor() {
-    this.pendingRolls = new Map(); // Track pending rolls for result capture
-    this.setupChatListener();
+    this.rollCapture = new RollCapture(); // Matches rolls with their chat messages
   }
 
   /**
@@ -37,19 +38,9 @@ export class AbilityRoller {
     // Create speaker for the roll
     const speaker = ChatMessage.getSpeaker({ actor: actor });
     
-    // Create a promise that will resolve when we capture the roll result
-    const rollPromise = new Promise((resolve, reject) => {
-      const rollId = `${actor.id}-${ability}-${Date.now()}`;
-      this.pendingRolls.set(rollId, { resolve, reject, actor, ability });
-      
-      // Set a timeout in case we don't capture the result
-      setTimeout(() => {
-        if (this.pendingRolls.has(rollId)) {
-          this.pendingRolls.delete(rollId);
-          reject(new Error('Roll result capture timeout'));
-        }
-      }, 5000);
-    });
+    // Start capturing before rolling; the token travels in the message flags
+    const capture = this.rollCapture.create(actor, ability, 'ability');
+    const messageFlags = capture.flags;
 
     // Perform the roll based on D&D5e system version
     try {
@@ -74,26 +65,31 @@ export class AbilityRoller {
             {
               configure: false,  // Skip dialog
               messageConfig: { speaker: speaker }
+            },
+            {
+              data: { flags: messageFlags }
             }
           );
         } else {
           // Fallback to old method
-          await actor.rollAbilityTest(ability, { event, speaker });
+          await actor.rollAbilityTest(ability, { event, speaker, messageData: { flags: messageFlags } });
         }
       } else {
         // D&D5e v3 and earlier use rollAbilityTest
         if (actor.rollAbilityTest) {
-          await actor.rollAbilityTest(ability, { event, speaker });
+          await actor.rollAbilityTest(ability, { event, speaker, messageData: { flags: messageFlags } });
         } else {
           console.error('Mage Hand | rollAbilityTest not available on actor');
+          this.rollCapture.cancel(capture);
           return null;
         }
       }
       
       // Wait for the roll result to be captured
-      const result = await rollPromise;
+      const result = await capture.promise;
       return result;
     } catch (error) {
+      this.rollCapture.cancel(capture);
       console.error('Mage Hand | Error rolling ability test:', error);
       return null;
     }
@@ -127,19 +123,9 @@ export class AbilityRoller {
     // Create speaker for the roll
     const speaker = ChatMessage.getSpeaker({ actor: actor });
     
-    // Create a promise that will resolve when we capture the roll result
-    const rollPromise = new Promise((resolve, reject) => {
-      const rollId = `${actor.id}-${ability}-save-${Date.now()}`;
-      this.pendingRolls.set(rollId, { resolve, reject, actor, ability, isSave: true });
-      
-      // Set a timeout in case we don't capture the result
-      setTimeout(() => {
-        if (this.pendingRolls.has(rollId)) {
-          this.pendingRolls.delete(rollId);
-          reject(new Error('Roll result capture timeout'));
-        }
-      }, 5000);
-    });
+    // Start capturing before rolling; the token travels in the message flags
+    const capture = this.rollCapture.create(actor, ability, 'save');
+    const messageFlags = capture.flags;
 
     // Perform the roll based on D&D5e system version
     try {
@@ -164,6 +150,9 @@ export class AbilityRoller {
             {
               configure: false,  // Skip dialog
               messageConfig: { speaker: speaker }
+            },
+            {
+              data: { flags: messageFlags }
             }
           );
         } else if (actor.rollAbilitySave) {
@@ -180,26 +169,32 @@ export class AbilityRoller {
             {
               configure: false,  // Skip dialog
               messageConfig: { speaker: speaker }
+            },
+            {
+              data: { flags: messageFlags }
             }
           );
         } else {
           console.error('Mage Hand | rollSavingThrow/rollAbilitySave not available on actor');
+          this.rollCapture.cancel(capture);
           return null;
         }
       } else {
         // D&D5e v3 and earlier use old parameter structure
         if (actor.rollAbilitySave) {
-          await actor.rollAbilitySave(ability, { event, speaker });
+          await actor.rollAbilitySave(ability, { event, speaker, messageData: { flags: messageFlags } });
         } else {
           console.error('Mage Hand | rollAbilitySave not available on actor');
+          this.rollCapture.cancel(capture);
           return null;
         }
       }
       
       // Wait for the roll result to be captured
-      const result = await rollPromise;
+      const result = await capture.promise;
       return result;
     } catch (error) {
+      this.rollCapture.cancel(capture);
       console.error('Mage Hand | Error rolling ability save:', error);
       return null;
     }
@@ -226,19 +221,9 @@ export class AbilityRoller {
     // Create speaker for the roll
     const speaker = ChatMessage.getSpeaker({ actor: actor });
     
-    // Create a promise that will resolve when we capture the roll result
-    const rollPromise = new Promise((resolve, reject) => {
-      const rollId = `${actor.id}-${skill}-skill-${Date.now()}`;
-      this.pendingRolls.set(rollId, { resolve, reject, actor, skill, isSkill: true });
-      
-      // Set a timeout in case we don't capture the result
-      setTimeout(() => {
-        if (this.pendingRolls.has(rollId)) {
-          this.pendingRolls.delete(rollId);
-          reject(new Error('Roll result capture timeout'));
-        }
-      }, 5000);
-    });
+    // Start capturing before rolling; the token travels in the message flags
+    const capture = this.rollCapture.create(actor, skill, 'skill');
+    const messageFlags = capture.flags;
 
     // Perform the roll based on D&D5e system version
     try {
@@ -263,6 +248,9 @@ export class AbilityRoller {
             {
               configure: false,  // Skip dialog
               messageConfig: { speaker: speaker }
+            },
+            {
+              data: { flags: messageFlags }
             }
           );
         } else if (actor.rollSkill) {
@@ -279,26 +267,32 @@ export class AbilityRoller {
             {
               configure: false,  // Skip dialog
               messageConfig: { speaker: speaker }
+            },
+            {
+              data: { flags: messageFlags }
             }
           );
         } else {
           console.error('Mage Hand | rollSkillCheck/rollSkill not available on actor');
+          this.rollCapture.cancel(capture);
           return null;
         }
       } else {
         // D&D5e v3 and earlier use old parameter structure
         if (actor.rollSkill) {
-          await actor.rollSkill(skill, { event, speaker });
+          await actor.rollSkill(skill, { event, speaker, messageData: { flags: messageFlags } });
         } else {
           console.error('Mage Hand | rollSkill not available on actor');
+          this.rollCapture.cancel(capture);
           return null;
         }
       }
       
       // Wait for the roll result to be captured
-      const result = await rollPromise;
+      const result = await capture.promise;
       return result;
     } catch (error) {
+      this.rollCapture.cancel(capture);
       console.error('Mage Hand | Error rolling skill check:', error);
       return null;
     }
@@ -365,116 +359,6 @@ export class AbilityRoller {
     
     return actor;
   }
-
-  /**
-   * Setup listener for chat messages to capture roll results
-   */
-  setupChatListener() {
-    Hooks.on('createChatMessage', (message) => {
-      // Check if this is a roll message
-      if (!message.rolls || message.rolls.length === 0) return;
-      
-      // Get the actor from the message speaker
-      const actor = game.actors.get(message.speaker.actor);
-      if (!actor) return;
-      
-      // Check if we have any pending rolls for this actor
-      for (const [rollId, pending] of this.pendingRolls) {
-        if (pending.actor.id === actor.id) {
-          // Extract roll data
-          const roll = message.rolls[0];
-          
-          // Build clean parts array without operators
-          const parts = [];
-          let nextOperator = '+'; // Start with addition
-          
-          for (const term of roll.terms) {
-            if (term.class === 'Die' || term.constructor.name === 'Die') {
-              parts.push({
-                type: 'die',
-                formula: term.formula,
-                faces: term.faces,
-                number: term.number,
-                results: term.results.map(r => r.result),
-                total: term.total,
-                operator: nextOperator
-              });
-              nextOperator = '+'; // Reset for next term
-            } else if (term.class === 'NumericTerm' || term.constructor.name === 'NumericTerm') {
-              // Apply the operator to the numeric value
-              const value = nextOperator === '-' ? -term.number : term.number;
-              parts.push({
-                type: 'modifier',
-                value: value,
-                operator: nextOperator
-              });
-              nextOperator = '+'; // Reset for next term
-            } else if (term.class === 'OperatorTerm' || term.constructor.name === 'OperatorTerm') {
-              // Store the operator for the next term
-              nextOperator = term.operator || term.value || '+';
-            }
-          }
-          
-          // Rebuild clean formula from parts
-          let cleanFormula = '';
-          parts.forEach((part, index) => {
-            if (part.type === 'die') {
-              if (index > 0 && part.operator === '+') cleanFormula += ' + ';
-              else if (index > 0 && part.operator === '-') cleanFormula += ' - ';
-              cleanFormula += part.formula;
-            } else if (part.type === 'modifier') {
-              if (part.value >= 0) {
-                if (index > 0) cleanFormula += ' + ';
-                cleanFormula += Math.abs(part.value);
-              } else {
-                cleanFormula += ' - ';
-                cleanFormula += Math.abs(part.value);
-              }
-            }
-          });
-          
-          const result = {
-            total: roll.total,
-            formula: cleanFormula.trim(),
-            originalFormula: roll.formula,  // Keep original in case needed
-            dice: roll.dice.map(d => ({
-              faces: d.faces,
-              results: d.results.map(r => r.result),
-              total: d.total
-            })),
-            parts: parts,
-            advantage: roll.formula.includes('2d20kh') || roll.formula.includes('2d20kl'),
-            disadvantage: roll.formula.includes('2d20kl'),
-            critical: roll.dice[0]?.results.some(r => r.result === 20),
-            fumble: roll.dice[0]?.results.some(r => r.result === 1),
-            actorId: actor.id,
-            actorName: actor.name,
-            timestamp: Date.now()
-          };
-
-          // Determine roll type from message flavor
-          const flavor = message.flavor?.toLowerCase() || '';
-          if (pending.isSave || flavor.includes('saving throw')) {
-            result.type = 'save';
-            result.ability = pending.ability;
-          } else if (pending.isSkill || flavor.includes('skill check')) {
-            result.type = 'skill';
-            result.skill = pending.skill;
-          } else {
-            result.type = 'ability';
-            result.ability = pending.ability;
-          }
-
-          // Resolve the pending promise
-          pending.resolve(result);
-          this.pendingRolls.delete(rollId);
-          
-          // Only process the first matching pending roll
-          break;
-        }
-      }
-    });
-  }
 }
 
 // Export a singleton instance
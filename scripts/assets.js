@@ -0,0 +1,192 @@
+/**
+ * Assets for Mage Hand Module
+ * Serves the images behind actor and item img paths to the phone, which
+ * can't reach the Foundry server through the relay. Images are rasterized
+ * (SVG icons included), downscaled to a size bucket and content hashed, so
+ * the phone can cache them by hash and skip unchanged ones.
+ */
+
+import { hashBytes } from './utils/hash.js';
+import { PlayError, ErrorCode } from './utils/errors.js';
+import { logger } from './utils/logger.js';
+
+export class AssetManager {
+  // Requested sizes round up to one of these (longest side in pixels)
+  static SIZES = [32, 64, 128, 256, 512];
+  static DEFAULT_SIZE = 128;
+
+  static EXTENSIONS = ['svg', 'png', 'jpg', 'jpeg', 'webp', 'gif', 'avif', 'bmp'];
+
+  // WebP keeps transparency at a fraction of PNG's size; browsers without a
+  // WebP encoder hand back PNG instead
+  static MIME_TYPE = 'image/webp';
+  static QUALITY = 0.85;
+
+  constructor(maxEntries = 300) {
+    // Rendered assets by `${src}|${size}`, oldest first: Promise<Object>
+    this.cache = new Map();
+    this.maxEntries = maxEntries;
+
+    this.log = logger.child('Assets');
+    this.log.verbose('Asset manager initialized');
+  }
+
+  /**
+   * Get an image rendered for the phone
+   * Files are cached for the session, so an icon replaced on disk under the
+   * same path is picked up after a reload.
+   * @param {string} src - Image path as it appears in the character data,
+   *   e.g. 'icons/svg/mystery-man.svg'
+   * @param {number} size - Wanted size of the longest side (optional)
+   * @returns {Promise<Object>} { src, size, hash, mimeType, width, height, data }
+   *   with data as base64
+   * @throws {PlayError} If the path isn't an image on this server or can't be loaded
+   */
+  async getAsset(src, size = AssetManager.DEFAULT_SIZE) {
+    const url = this.resolveUrl(src);
+    const bucket = this.getSizeBucket(size);
+
+    const key = `${url.href}|${bucket}`;
+    let entry = this.cache.get(key);
+    if (entry) {
+      // Move to the back so the least recently used entry goes first
+      this.cache.delete(key);
+    } else {
+      entry = this.render(url, bucket);
+    }
+    this.cache.set(key, entry);
+    this.prune();
+
+    try {
+      return { src, size: bucket, ...(await entry) };
+    } catch (error) {
+      // Let the next request try again
+      if (this.cache.get(key) === entry) this.cache.delete(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Only images served by this Foundry server are handed out, as any player
+   * could open them in the browser; other origins would have the GM's or
+   * player's browser fetch arbitrary URLs for the phone.
+   * @returns {URL}
+   */
+  resolveUrl(src) {
+    if (typeof src !== 'string' || !src) {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, `Invalid asset path: ${src}`);
+    }
+
+    let url;
+    try {
+      url = new URL(src, window.location.href);
+    } catch (error) {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, `Invalid asset path: ${src}`);
+    }
+
+    if (url.origin !== window.location.origin) {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, `Asset is not on this server: ${src}`);
+    }
+
+    const extension = url.pathname.split('.').pop().toLowerCase();
+    if (!AssetManager.EXTENSIONS.includes(extension)) {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, `Not an image: ${src}`);
+    }
+
+    return url;
+  }
+
+  getSizeBucket(size) {
+    if (size === undefined || size === null) return AssetManager.DEFAULT_SIZE;
+    if (!Number.isInteger(size) || size < 1) {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, `Invalid asset size: ${size}`);
+    }
+
+    const sizes = AssetManager.SIZES;
+    return sizes.find(bucket => bucket >= size) ?? sizes[sizes.length - 1];
+  }
+
+  /**
+   * Rasterize an image and downscale it to fit the size bucket
+   * SVGs are drawn at the bucket size; other images are never scaled up.
+   * @returns {Promise<Object>} { hash, mimeType, width, height, data }
+   */
+  async render(url, size) {
+    const image = await this.loadImage(url);
+
+    // SVGs without width and height attributes have no natural size
+    const isSvg = url.pathname.toLowerCase().endsWith('.svg');
+    const naturalWidth = image.naturalWidth || size;
+    const naturalHeight = image.naturalHeight || size;
+    const longest = Math.max(naturalWidth, naturalHeight);
+    const scale = isSvg ? size / longest : Math.min(1, size / longest);
+
+    const width = Math.max(1, Math.round(naturalWidth * scale));
+    const height = Math.max(1, Math.round(naturalHeight * scale));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(image, 0, 0, width, height);
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, AssetManager.MIME_TYPE, AssetManager.QUALITY));
+    if (!blob) {
+      throw new PlayError(ErrorCode.INTERNAL_ERROR, `Could not encode ${url.pathname}`);
+    }
+
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const asset = {
+      hash: await this.hash(bytes),
+      mimeType: blob.type,
+      width,
+      height,
+      data: this.toBase64(bytes)
+    };
+
+    this.log.verbose(`Rendered ${url.pathname} at ${width}x${height} (${bytes.length} bytes)`);
+    return asset;
+  }
+
+  async loadImage(url) {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.src = url.href;
+
+    try {
+      await image.decode();
+    } catch (error) {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, `Could not load image: ${url.pathname}`);
+    }
+    return image;
+  }
+
+  /**
+   * Hash of the encoded image, as SHA-256 where the browser allows it
+   * crypto.subtle only exists in secure contexts, so a world served over
+   * plain http on the LAN falls back to FNV-1a.
+   * @returns {Promise<string>} Hex string
+   */
+  async hash(bytes) {
+    if (!globalThis.crypto?.subtle) return hashBytes(bytes);
+
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  toBase64(bytes) {
+    // String.fromCharCode takes its arguments on the stack, so go in chunks
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  prune() {
+    while (this.cache.size > this.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * Combat Stream for Mage Hand Module
+ * Forwards combat tracker state to the phones: initiative order, round and
+ * turn, and a PLAY:COMBAT:YOU buzz for the player whose turn it is
+ */
+
+import { logger } from './utils/logger.js';
+
+export class CombatStream {
+  constructor(websocketHandler) {
+    // Store reference to websocket handler
+    this.websocketHandler = websocketHandler;
+    
+    // Combat currently being streamed, and the last turn announced in it
+    this.combatId = null;
+    this.lastTurnKey = null;
+    
+    this.log = logger.child('CombatStream');
+    this.log.verbose('Combat stream initialized');
+  }
+
+  /**
+   * Initialize combat hooks
+   * combatStart/combatTurn fire before the update is applied, so the stream
+   * follows updateCombat, which sees the new round and turn.
+   */
+  init() {
+    Hooks.on('updateCombat', this.onUpdateCombat.bind(this));
+    Hooks.on('deleteCombat', this.onDeleteCombat.bind(this));
+    Hooks.on('createCombatant', this.onCombatantChange.bind(this));
+    Hooks.on('updateCombatant', this.onCombatantChange.bind(this));
+    Hooks.on('deleteCombatant', this.onCombatantChange.bind(this));
+    
+    this.log.verbose('Combat stream hooks registered');
+  }
+
+  /**
+   * Hook: Combat updated - detect start and turn/round changes
+   */
+  onUpdateCombat(combat, changes, options, userId) {
+    if (!combat.started) return;
+    
+    if (combat.id !== this.combatId) {
+      this.combatId = combat.id;
+      this.lastTurnKey = null;
+      this.send('start', combat);
+    } else if ('turn' in changes || 'round' in changes) {
+      this.send('next', combat);
+    } else {
+      return;
+    }
+    
+    this.announceTurn(combat);
+  }
+
+  /**
+   * Hook: Combat deleted - the encounter ended
+   */
+  onDeleteCombat(combat, options, userId) {
+    if (combat.id !== this.combatId) return;
+    
+    this.websocketHandler.sendCombatUpdate('end', {
+      combatId: combat.id,
+      round: combat.round
+    });
+    
+    this.combatId = null;
+    this.lastTurnKey = null;
+    this.log.verbose('Combat ended:', combat.id);
+  }
+
+  /**
+   * Hook: Combatant added, changed or removed - resend the order
+   * Covers initiative rolls, hiding/revealing and defeated toggles.
+   */
+  onCombatantChange(combatant) {
+    const combat = combatant.parent;
+    if (!combat?.started || combat.id !== this.combatId) return;
+    
+    this.send('next', combat);
+  }
+
+  /**
+   * Send the combat state to every phone
+   */
+  send(updateType, combat) {
+    if (!this.websocketHandler.isConnected()) return;
+    
+    this.websocketHandler.sendCombatUpdate(updateType, this.getCombatState(combat));
+    this.log.debug(`Sent combat ${updateType}: round ${combat.round}, turn ${combat.turn}`);
+  }
+
+  /**
+   * Send the current combat state to one phone, e.g. when it joins mid-combat
+   * @param {string} clientId - Mobile client ID
+   */
+  sendCurrentState(clientId) {
+    const combat = (this.combatId && game.combats.get(this.combatId)) || game.combat;
+    if (!combat?.started) return;
+    
+    // Combat may have started before we connected
+    if (!this.combatId) this.combatId = combat.id;
+    
+    this.websocketHandler.sendCombatUpdate('start', {
+      to: clientId,
+      ...this.getCombatState(combat)
+    });
+    
+    const current = combat.combatant;
+    const client = this.websocketHandler.mobileClients.get(clientId);
+    if (current && !current.hidden && client?.actorId === current.actorId) {
+      this.sendYourTurn(client, combat, current);
+    }
+  }
+
+  /**
+   * Buzz the phones bound to the actor whose turn just started
+   */
+  announceTurn(combat) {
+    const current = combat.combatant;
+    if (!current || current.hidden || !current.actorId) return;
+    
+    // updateCombat can fire several times for the same turn
+    const turnKey = `${combat.id}-${combat.round}-${current.id}`;
+    if (turnKey === this.lastTurnKey) return;
+    this.lastTurnKey = turnKey;
+    
+    for (const client of this.websocketHandler.getClientsForActor(current.actorId)) {
+      this.sendYourTurn(client, combat, current);
+    }
+  }
+
+  sendYourTurn(client, combat, combatant) {
+    this.websocketHandler.sendCombatUpdate('your-turn', {
+      to: client.clientId,
+      combatId: combat.id,
+      actorId: combatant.actorId,
+      combatantId: combatant.id,
+      round: combat.round
+    });
+    this.log.info(`It's ${combatant.name}'s turn, notifying mobile client ${client.clientId}`);
+  }
+
+  /**
+   * Build the player-visible combat state
+   * Hidden combatants are left out entirely, and turn is the index into
+   * the visible order (null while a hidden combatant is acting).
+   */
+  getCombatState(combat) {
+    const current = combat.combatant;
+    const order = combat.turns
+      .filter(combatant => !combatant.hidden)
+      .map(combatant => ({
+        combatantId: combatant.id,
+        actorId: combatant.actorId,
+        name: this.getPublicName(combatant),
+        img: combatant.img,
+        initiative: combatant.initiative,
+        defeated: combatant.isDefeated || false,
+        isPlayer: combatant.hasPlayerOwner || false
+      }));
+    
+    const turn = current && !current.hidden
+      ? order.findIndex(entry => entry.combatantId === current.id)
+      : -1;
+    
+    return {
+      combatId: combat.id,
+      round: combat.round,
+      turn: turn === -1 ? null : turn,
+      currentCombatantId: turn === -1 ? null : current.id,
+      order: order
+    };
+  }
+
+  /**
+   * Name a combatant the way players would see it on the token
+   */
+  getPublicName(combatant) {
+    if (combatant.hasPlayerOwner) return combatant.name;
+    
+    const modes = CONST.TOKEN_DISPLAY_MODES;
+    const displayName = combatant.token?.displayName;
+    if (displayName === modes.HOVER || displayName === modes.ALWAYS) {
+      return combatant.name;
+    }
+    
+    return 'Unknown Creature';
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Concentration for Mage Hand Module
+ * Prompts the phone for a concentration save when its character takes damage
+ * while concentrating, with PLAY:CONCENTRATION:CHECK and the save DC
+ */
+
+import { logger } from './utils/logger.js';
+
+export class ConcentrationTracker {
+  constructor(websocketHandler) {
+    // Store reference to websocket handler
+    this.websocketHandler = websocketHandler;
+    
+    // Latest unanswered check per actor: { dc, damage, timestamp }
+    this.pending = new Map();
+    
+    this.log = logger.child('Concentration');
+    this.log.verbose('Concentration tracker initialized');
+  }
+
+  /**
+   * Initialize hooks
+   * D&D5e calls dnd5e.damageActor on every client after HP drops, with the
+   * damage taken across HP and temp HP.
+   */
+  init() {
+    Hooks.on('dnd5e.damageActor', this.onDamageActor.bind(this));
+    
+    this.log.verbose('Concentration hooks registered');
+  }
+
+  isConcentrating(actor) {
+    return actor.statuses?.has('concentrating') || false;
+  }
+
+  /**
+   * DC of the save for a given amount of damage
+   */
+  getDC(actor, damage) {
+    return actor.getConcentrationDC?.(damage) ?? Math.max(10, Math.floor(damage / 2));
+  }
+
+  /**
+   * Hook: Actor damaged - prompt its phones if it is concentrating
+   */
+  onDamageActor(actor, changes) {
+    const damage = -(changes?.total ?? 0);
+    if (damage <= 0 || !this.isConcentrating(actor)) return;
+    
+    const clients = this.websocketHandler.getClientsForActor(actor.id);
+    if (clients.length === 0) return;
+    
+    const check = { dc: this.getDC(actor, damage), damage, timestamp: Date.now() };
+    this.pending.set(actor.id, check);
+    
+    const effect = actor.effects.find(e => e.statuses?.has('concentrating'));
+    for (const client of clients) {
+      this.websocketHandler.sendConcentrationCheck({
+        to: client.clientId,
+        actorId: actor.id,
+        dc: check.dc,
+        damage,
+        ability: actor.system.attributes.concentration?.ability || 'con',
+        effectId: effect?.id,
+        name: effect?.name
+      });
+    }
+    
+    this.log.info(`${actor.name} took ${damage} damage while concentrating, DC ${check.dc}`);
+  }
+
+  /**
+   * Take the pending check for an actor once its save is rolled
+   * @returns {Object|null} { dc, damage, timestamp }
+   */
+  consume(actorId) {
+    const check = this.pending.get(actorId) || null;
+    this.pending.delete(actorId);
+    return check;
+  }
+}
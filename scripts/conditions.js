@@ -0,0 +1,106 @@
+/**
+ * Conditions for Mage Hand Module
+ * Toggles status conditions, sets exhaustion and enables or disables the
+ * actor's own ActiveEffects for requests from the phone. The results reach
+ * the phone through the regular actor and effect hooks.
+ */
+
+import { PlayError, ErrorCode } from './utils/errors.js';
+import { logger } from './utils/logger.js';
+
+export class ConditionManager {
+  constructor() {
+    this.log = logger.child('Conditions');
+  }
+
+  /**
+   * Turn a status condition on or off
+   * @param {Actor} actor - The actor
+   * @param {string} statusId - Status effect ID, e.g. 'prone'
+   * @param {boolean} active - Wanted state, undefined to toggle
+   * @returns {Promise<Object>} { statusId, active }
+   */
+  async toggleCondition(actor, statusId, active) {
+    const status = CONFIG.statusEffects.find(s => s.id === statusId);
+    if (!status) {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, `Invalid status condition: ${statusId}`);
+    }
+    if (statusId === 'exhaustion') {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, 'Exhaustion is set by level');
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, `Invalid active flag: ${active}`);
+    }
+    
+    const wanted = active ?? !actor.statuses.has(statusId);
+    if (wanted !== actor.statuses.has(statusId)) {
+      if (typeof actor.toggleStatusEffect === 'function') {
+        await actor.toggleStatusEffect(statusId, { active: wanted });
+      } else {
+        await this.toggleStatusEffectV11(actor, status, wanted);
+      }
+    }
+    
+    // A status granted by an item's effect stays on until the item changes
+    const result = { statusId, active: actor.statuses.has(statusId) };
+    this.log.info(`${actor.name} ${result.active ? 'has' : 'no longer has'} ${statusId}`);
+    return result;
+  }
+
+  /**
+   * Foundry v11 has no Actor#toggleStatusEffect, so create or delete the
+   * effect the way TokenDocument#toggleActiveEffect does
+   */
+  async toggleStatusEffectV11(actor, status, active) {
+    if (!active) {
+      const ids = actor.effects.filter(effect => effect.statuses.has(status.id)).map(effect => effect.id);
+      return actor.deleteEmbeddedDocuments('ActiveEffect', ids);
+    }
+    
+    const data = foundry.utils.deepClone(status);
+    data.name = game.i18n.localize(data.name ?? data.label);
+    data.statuses = [status.id];
+    delete data.id;
+    return ActiveEffect.implementation.create(data, { parent: actor });
+  }
+
+  /**
+   * Set the exhaustion level, the system keeps its effect in step
+   * @returns {Promise<Object>} { exhaustion }
+   */
+  async setExhaustion(actor, level) {
+    const maxLevel = CONFIG.DND5E.conditionTypes.exhaustion?.levels ?? 6;
+    if (!Number.isInteger(level) || level < 0 || level > maxLevel) {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, `Exhaustion must be between 0 and ${maxLevel}: ${level}`);
+    }
+    
+    await actor.update({ 'system.attributes.exhaustion': level });
+    this.log.info(`${actor.name} is at exhaustion level ${level}`);
+    return { exhaustion: actor.system.attributes.exhaustion };
+  }
+
+  /**
+   * Enable or disable one of the actor's own ActiveEffects
+   * @param {Actor} actor - The actor
+   * @param {string} effectId - Effect ID from combat.effects
+   * @param {boolean} disabled - Wanted state, undefined to toggle
+   * @returns {Promise<Object>} { effectId, name, disabled }
+   */
+  async setEffectDisabled(actor, effectId, disabled) {
+    const effect = actor.effects.get(effectId);
+    if (!effect) {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, `Effect not found on ${actor.name}: ${effectId}`);
+    }
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, `Invalid disabled flag: ${disabled}`);
+    }
+    
+    const wanted = disabled ?? !effect.disabled;
+    if (wanted !== effect.disabled) {
+      await effect.update({ disabled: wanted });
+    }
+    
+    this.log.info(`${wanted ? 'Disabled' : 'Enabled'} ${effect.name} on ${actor.name}`);
+    return { effectId, name: effect.name, disabled: effect.disabled };
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * Death Saves for Mage Hand Module
+ * Follows characters through 0 HP and tells their phones as it happens:
+ * PLAY:DEATH:DYING when HP hits 0, PLAY:DEATH:SAVE for each change to the
+ * tally, then PLAY:DEATH:STABLE, PLAY:DEATH:DEAD or PLAY:DEATH:REVIVED
+ */
+
+import { logger } from './utils/logger.js';
+
+export class DeathSaveTracker {
+  // How long a natural 20 explains a return from 0 HP to 1
+  static NAT20_WINDOW = 10000;
+
+  constructor(websocketHandler) {
+    // Store reference to websocket handler
+    this.websocketHandler = websocketHandler;
+    
+    // Last known state per actor: { state, success, failure }
+    this.states = new Map();
+    
+    // Last natural 20 on a death save per actor, by timestamp
+    this.naturalTwenties = new Map();
+    
+    this.log = logger.child('DeathSaves');
+    this.log.verbose('Death save tracker initialized');
+  }
+
+  /**
+   * Initialize hooks
+   * The system posts the death save roll before it updates the actor, so a
+   * natural 20 is known by the time the revival update arrives.
+   */
+  init() {
+    Hooks.on('updateActor', this.onUpdateActor.bind(this));
+    Hooks.on('createChatMessage', this.onCreateChatMessage.bind(this));
+    
+    this.log.verbose('Death save hooks registered');
+  }
+
+  /**
+   * Work out where a character stands at 0 HP
+   * D&D5e clears the tally on the third success, so a reset straight after
+   * two successes means the character is stable.
+   * @param {Actor} actor - The actor
+   * @param {Object} previous - Last known state (optional)
+   * @returns {string|null} alive, dying, stable or dead; null if the actor
+   *   doesn't make death saves
+   */
+  getDeathState(actor, previous = null) {
+    const death = actor.system.attributes?.death;
+    if (!death || actor.type !== 'character') return null;
+    
+    const hp = actor.system.attributes.hp?.value ?? 0;
+    const success = death.success || 0;
+    const failure = death.failure || 0;
+    
+    if (hp > 0) return 'alive';
+    if (failure >= 3 || actor.statuses?.has('dead')) return 'dead';
+    if (success >= 3 || actor.statuses?.has('stable')) return 'stable';
+    
+    const reset = success === 0 && failure === 0;
+    if (reset && previous?.state === 'dying' && previous.success === 2) return 'stable';
+    if (reset && previous?.state === 'stable') return 'stable';
+    
+    return 'dying';
+  }
+
+  /**
+   * Hook: Chat message created - remember natural 20s on death saves
+   */
+  onCreateChatMessage(message) {
+    if (message.flags?.dnd5e?.roll?.type !== 'death') return;
+    
+    const actorId = message.speaker?.actor;
+    const d20 = message.rolls?.[0]?.dice?.[0]?.total;
+    if (actorId && d20 === 20) {
+      this.naturalTwenties.set(actorId, Date.now());
+    }
+  }
+
+  /**
+   * Hook: Actor updated - compare with the last known state and send events
+   */
+  onUpdateActor(actor) {
+    if (!this.websocketHandler.isActorBound(actor.id)) return;
+    
+    const previous = this.states.get(actor.id) ?? this.track(actor);
+    const state = this.getDeathState(actor, previous);
+    if (!state) return;
+    
+    const death = actor.system.attributes.death;
+    const current = { state, success: death.success || 0, failure: death.failure || 0 };
+    this.states.set(actor.id, current);
+    
+    if (state === previous.state) {
+      if (state === 'dying' && (current.success !== previous.success || current.failure !== previous.failure)) {
+        this.send('save', actor, current);
+      }
+      return;
+    }
+    
+    switch (state) {
+      case 'dying':
+        this.send('dying', actor, current);
+        break;
+      case 'stable':
+        this.send('stable', actor, current);
+        break;
+      case 'dead':
+        this.send('dead', actor, current);
+        break;
+      case 'alive': {
+        const nat20 = Date.now() - (this.naturalTwenties.get(actor.id) ?? 0) < DeathSaveTracker.NAT20_WINDOW;
+        this.naturalTwenties.delete(actor.id);
+        this.send('revived', actor, { ...current, reason: nat20 ? 'nat20' : 'healed' });
+        break;
+      }
+    }
+  }
+
+  /**
+   * Start or refresh tracking of an actor from its current data
+   * This normally happens when a phone binds to the actor (sendCurrentState),
+   * so the first update already has a state to compare with.
+   */
+  track(actor) {
+    const death = actor.system.attributes?.death;
+    const previous = this.states.get(actor.id);
+    const state = { state: this.getDeathState(actor, previous), success: death?.success || 0, failure: death?.failure || 0 };
+    this.states.set(actor.id, state);
+    return state;
+  }
+
+  /**
+   * Send an actor's state to one phone, e.g. when it binds to a dying character
+   * @param {string} clientId - Mobile client ID
+   * @param {Actor} actor - The bound actor
+   */
+  sendCurrentState(clientId, actor) {
+    // Updates aren't followed while no phone is bound, so refresh first
+    const state = this.track(actor);
+    if (state.state !== 'dying' && state.state !== 'stable' && state.state !== 'dead') return;
+    
+    this.websocketHandler.sendDeathUpdate(state.state, {
+      to: clientId,
+      ...this.getPayload(actor, state)
+    });
+  }
+
+  send(event, actor, state) {
+    const clients = this.websocketHandler.getClientsForActor(actor.id);
+    for (const client of clients) {
+      this.websocketHandler.sendDeathUpdate(event, {
+        to: client.clientId,
+        ...this.getPayload(actor, state)
+      });
+    }
+    
+    this.log.info(`${actor.name}: death save ${event} (${state.success} successes, ${state.failure} failures)`);
+  }
+
+  getPayload(actor, { state, success, failure, reason }) {
+    return {
+      actorId: actor.id,
+      state,
+      deathSaves: { success, failure },
+      hp: actor.system.attributes.hp?.value ?? 0,
+      reason
+    };
+  }
+}
@@ -1,8 +1,106 @@
 import { SchemaRegistry } from '../schemas/schema-registry.js';
+import { FormulaParser } from '../utils/formula-parser.js';
+import { EnrichedText } from '../utils/enriched-text.js';
 
 export class BaseExtractor {
+  // Sections that can be recomputed on their own, by document path
+  static SECTIONS = {
+    'classes': 'getClasses',
+    'race': 'getRace',
+    'background': 'getBackground',
+    'abilities': 'getAbilities',
+    'skills': 'getSkills',
+    'spellSlots': 'getSpellSlots',
+    'spells': 'getSpells',
+    'spellcasting': 'getSpellcasting',
+    'weapons': 'getWeapons',
+    'inventory': 'getInventory',
+    'currency': 'getCurrency',
+    'encumbrance': 'getEncumbrance',
+    'features': 'getFeatures',
+    'resources': 'getResources',
+    'combat.conditions': 'getConditions',
+    'combat.statuses': 'getStatuses',
+    'combat.effects': 'getEffects',
+    'combat.concentration': 'getConcentration',
+    'combat.hp': 'getHP',
+    'combat.ac': 'getAC',
+    'combat.initiative': 'getInitiative',
+    'combat.exhaustion': 'getExhaustion',
+    'combat.deathSaves': 'getDeathSaves',
+    'combat.hitDice': 'getHitDice',
+    'combat.mv': 'getMovement',
+    'combat.senses': 'getSenses'
+  };
+
+  // Actor update paths and the sections derived from them.
+  // Anything not listed (ability scores, details, levels...) can ripple
+  // through many sections and needs a full extraction.
+  static ACTOR_PATH_SECTIONS = {
+    'system.attributes.hp': ['combat.hp'],
+    'system.attributes.ac': ['combat.ac'],
+    'system.attributes.init': ['combat.initiative'],
+    // Exhaustion lowers speed, and halves max HP under the 2014 rules
+    'system.attributes.exhaustion': ['combat.exhaustion', 'combat.statuses', 'combat.mv', 'combat.hp'],
+    'system.attributes.death': ['combat.deathSaves'],
+    'system.attributes.movement': ['combat.mv'],
+    'system.attributes.senses': ['combat.senses'],
+    'system.spells': ['spellSlots'],
+    'system.skills': ['skills'],
+    'system.resources': ['resources'],
+    'system.attributes.encumbrance': ['encumbrance'],
+    'system.currency': ['currency', 'encumbrance', 'combat.mv']
+  };
+
+  // Item types and the sections that list them. Types not listed here
+  // (classes, subclasses, races, backgrounds) need a full extraction.
+  // Anything with weight can change encumbrance, and with it speed.
+  static ITEM_TYPE_SECTIONS = {
+    'spell': ['spells', 'spellcasting'],
+    'weapon': ['weapons', 'inventory', 'encumbrance', 'combat.mv'],
+    'equipment': ['combat.ac', 'inventory', 'encumbrance', 'combat.mv'],
+    'consumable': ['inventory', 'encumbrance', 'combat.mv'],
+    'tool': ['inventory', 'encumbrance', 'combat.mv'],
+    'loot': ['inventory', 'encumbrance', 'combat.mv'],
+    'container': ['inventory', 'encumbrance', 'combat.mv'],
+    'backpack': ['inventory', 'encumbrance', 'combat.mv'],
+    'feat': ['features', 'resources']
+  };
+
   constructor() {
     this.schemaVersion = SchemaRegistry.CURRENT_VERSION;
+    
+    // Plain-text rules for each status effect, by status ID
+    this.statusDescriptions = new Map();
+  }
+
+  /**
+   * Load the rules text of the system's conditions from their journal pages
+   * Extraction is synchronous, so this runs once at ready and getStatuses
+   * reads the cache.
+   */
+  async loadStatusDescriptions() {
+    const conditionTypes = CONFIG.DND5E.conditionTypes || {};
+    
+    for (const [id, condition] of Object.entries(conditionTypes)) {
+      if (!condition.reference) continue;
+      
+      try {
+        const page = await fromUuid(condition.reference);
+        const html = page?.text?.content;
+        if (html) this.statusDescriptions.set(id, this.htmlToText(html));
+      } catch (error) {
+        console.warn(`Mage Hand | Could not load the description of ${id}:`, error);
+      }
+    }
+    
+    console.log(`Mage Hand | Loaded ${this.statusDescriptions.size} status descriptions`);
+  }
+
+  htmlToText(html) {
+    const div = document.createElement('div');
+    div.innerHTML = html;
+    return div.textContent.replace(/\s+/g, ' ').trim();
   }
 
   extractCharacterData(input) {
@@ -28,7 +126,13 @@ export class BaseExtractor {
       skills: this.getSkills(actor),
       spellSlots: this.getSpellSlots(actor),
       spells: this.getSpells(actor),
+      spellcasting: this.getSpellcasting(actor),
       weapons: this.getWeapons(actor),
+      inventory: this.getInventory(actor),
+      currency: this.getCurrency(actor),
+      encumbrance: this.getEncumbrance(actor),
+      features: this.getFeatures(actor),
+      resources: this.getResources(actor),
       combat: this.getCombatData(actor)
     };
 
@@ -66,6 +170,279 @@ export class BaseExtractor {
     return SchemaRegistry.hasFeature(feature, this.schemaVersion);
   }
 
+  /**
+   * Full details of one item, fetched by the phone with SETUP:REQ:ITEM when
+   * it opens the item rather than synced with the character
+   * @param {Actor} actor - The actor owning the item
+   * @param {Item} item - The item
+   * @returns {Object} { id, name, type, img, description, price, spell }
+   *   where description is parsed by EnrichedText
+   */
+  extractItemDetails(actor, item) {
+    // Unidentified items only show what the sheet would show
+    const identified = item.system.identified !== false;
+    const description = identified ? item.system.description?.value : item.system.unidentified?.description;
+    
+    const data = {
+      id: item.id,
+      name: identified ? item.name : (item.system.unidentified?.name || item.name),
+      type: item.type,
+      img: item.img,
+      description: EnrichedText.parse(description || '', { rollData: item.getRollData() })
+    };
+    
+    if (item.system.price?.value) {
+      data.price = { value: item.system.price.value, denomination: item.system.price.denomination || 'gp' };
+    }
+    
+    if (item.type === 'spell') {
+      data.spell = this.getSpellDetails(actor, item);
+    }
+    
+    return data;
+  }
+
+  getSpellDetails(actor, item) {
+    const has = property => item.system.properties?.has?.(property) || false;
+    const materials = item.system.materials || {};
+    
+    return {
+      level: item.system.level || 0,
+      school: item.system.school || '',
+      components: {
+        vocal: has('vocal'),
+        somatic: has('somatic'),
+        material: has('material'),
+        concentration: has('concentration'),
+        ritual: has('ritual')
+      },
+      materials: materials.value ? {
+        value: materials.value,
+        consumed: materials.consumed || false,
+        cost: materials.cost || 0,
+        supply: materials.supply || 0
+      } : null,
+      activation: item.labels?.activation || '',
+      duration: item.labels?.duration || this.getDurationLabel(item.system.duration),
+      range: item.labels?.range || '',
+      scaling: this.getSpellScaling(item)
+    };
+  }
+
+  getDurationLabel(duration) {
+    if (!duration?.units) return '';
+    
+    const periods = { ...CONFIG.DND5E.specialTimePeriods, ...CONFIG.DND5E.timePeriods };
+    const period = periods[duration.units];
+    const unit = period ? game.i18n.localize(period.label ?? period) : duration.units;
+    return duration.value ? `${duration.value} ${unit}` : unit;
+  }
+
+  /**
+   * Work out which sections an actor update affects
+   * @param {Object} changes - Change data from the updateActor hook
+   * @returns {Array<string>|null} Section paths, or null if a full extraction is needed
+   */
+  getSectionsForActorChange(changes) {
+    const paths = Object.keys(foundry.utils.flattenObject(changes || {}))
+      .filter(path => path !== '_id' && !path.startsWith('_stats.'));
+    
+    const sections = new Set();
+    for (const path of paths) {
+      const prefix = Object.keys(BaseExtractor.ACTOR_PATH_SECTIONS)
+        .find(p => path === p || path.startsWith(`${p}.`));
+      if (!prefix) return null;
+      BaseExtractor.ACTOR_PATH_SECTIONS[prefix].forEach(section => sections.add(section));
+    }
+    
+    return Array.from(sections);
+  }
+
+  /**
+   * Work out which sections an embedded item change affects
+   * @param {Item} item - The created, updated or deleted item
+   * @returns {Array<string>|null} Section paths, or null if a full extraction is needed
+   */
+  getSectionsForItem(item) {
+    // Items carrying effects onto the actor can change any derived value
+    if (item.effects?.some(effect => effect.transfer)) return null;
+    
+    return BaseExtractor.ITEM_TYPE_SECTIONS[item.type] ?? null;
+  }
+
+  /**
+   * Work out which sections an active effect change affects
+   * @param {ActiveEffect} effect - The created, updated or deleted effect
+   * @returns {Array<string>|null} Section paths, or null if a full extraction is needed
+   */
+  getSectionsForEffect(effect) {
+    // Effects that modify data can change any derived value, and so can
+    // statuses: D&D5e 3+ derives speed and more from conditions such as
+    // prone, grappled or encumbered without any effect changes
+    if (effect.changes?.length > 0 || effect.statuses?.size > 0) return null;
+    
+    return ['combat.conditions', 'combat.statuses', 'combat.effects', 'combat.concentration', 'encumbrance', 'combat.mv'];
+  }
+
+  /**
+   * Extract only some sections of the character document
+   * Each value is trimmed against the defaults exactly as in a full extraction,
+   * so undefined means the section is omitted from the document.
+   * @param {Actor|string} input - Actor or actor name/id
+   * @param {Array<string>} sections - Section paths from BaseExtractor.SECTIONS
+   * @returns {Object|undefined} Extracted values keyed by section path
+   */
+  extractSections(input, sections) {
+    const actor = this.resolveActor(input);
+    if (!actor) {
+      console.error('Mage Hand | Cannot find actor by name or id.');
+      return undefined;
+    }
+    
+    const defaults = this.getDefaults();
+    const result = {};
+    
+    for (const section of sections) {
+      const getter = BaseExtractor.SECTIONS[section];
+      if (!getter) {
+        throw new Error(`Unknown extractor section: ${section}`);
+      }
+      
+      const value = this[getter](actor);
+      result[section] = this.unmerge(value, foundry.utils.getProperty(defaults, section));
+    }
+    
+    return result;
+  }
+
+  /**
+   * Patch sections into a copy of a previously extracted document
+   * @param {Object} doc - Document from extractCharacterData
+   * @param {Object} sections - Values from extractSections
+   * @returns {Object} The patched copy
+   */
+  patchSections(doc, sections) {
+    const result = foundry.utils.deepClone(doc);
+    
+    for (const [section, value] of Object.entries(sections)) {
+      const parts = section.split('.');
+      const key = parts.pop();
+      
+      const chain = [result];
+      for (const part of parts) {
+        const parent = chain[chain.length - 1];
+        if (!parent[part]) parent[part] = {};
+        chain.push(parent[part]);
+      }
+      
+      if (value === undefined) {
+        delete chain[chain.length - 1][key];
+      } else {
+        chain[chain.length - 1][key] = value;
+      }
+      
+      // A full extraction drops parent objects left with nothing but defaults
+      for (let i = parts.length - 1; i >= 0; i--) {
+        if (Object.keys(chain[i + 1]).length > 0) break;
+        delete chain[i][parts[i]];
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * List an item's activities (D&D5e v4+), so the phone can pick one
+   * v3 items have no activities and get an empty list.
+   * @param {Item} item - Weapon, spell or feature
+   * @returns {Array<Object>} One entry per activity, in sheet order
+   */
+  getActivities(item) {
+    const activities = item.system.activities;
+    if (!activities) return [];
+    
+    return Array.from(activities.values())
+      .sort((a, b) => (a.sort ?? 0) - (b.sort ?? 0))
+      .map(activity => {
+        const data = {
+          id: activity.id,
+          name: activity.name,
+          type: activity.type,
+          img: activity.img,
+          activation: activity.labels?.activation || activity.activation?.type || '',
+          cost: this.getActivityCost(activity),
+          range: activity.labels?.range || this.getActivityRange(activity)
+        };
+        
+        if (activity.type === 'attack') {
+          data.toHit = activity.labels?.toHit || '';
+        }
+        
+        if (activity.type === 'save' && activity.save) {
+          // save.ability is a Set in v4.1+, a single key before
+          const abilities = activity.save.ability;
+          data.save = {
+            abilities: abilities instanceof Set ? Array.from(abilities) : [abilities].filter(Boolean),
+            dc: activity.save.dc?.value ?? null
+          };
+        }
+        
+        const damage = this.getActivityDamage(activity);
+        if (damage.length > 0) {
+          data.damage = damage;
+        }
+        
+        return data;
+      });
+  }
+
+  getActivityCost(activity) {
+    const cost = {
+      activation: activity.activation?.type || '',
+      value: activity.activation?.value ?? null,
+      spellSlot: activity.consumption?.spellSlot ?? false,
+      targets: (activity.consumption?.targets || []).map(target => ({
+        type: target.type,
+        target: target.target || '',
+        value: target.value
+      }))
+    };
+    
+    if (activity.uses?.max) {
+      cost.uses = {
+        value: activity.uses.value || 0,
+        max: activity.uses.max
+      };
+    }
+    
+    return cost;
+  }
+
+  getActivityRange(activity) {
+    const range = activity.range;
+    if (!range?.units) return '';
+    if (!range.value) return CONFIG.DND5E.rangeTypes?.[range.units] || range.units;
+    return `${range.value} ${range.units}`;
+  }
+
+  getActivityDamage(activity) {
+    // Prefer the system's labels, they have bonuses and scaling resolved
+    if (activity.labels?.damage?.length) {
+      return activity.labels.damage.map(part => ({
+        formula: part.formula,
+        type: part.damageType || ''
+      }));
+    }
+    
+    const parts = activity.type === 'heal' ? [activity.healing] : (activity.damage?.parts || []);
+    return parts
+      .filter(part => part?.formula)
+      .map(part => ({
+        formula: part.formula,
+        type: Array.from(part.types || [])[0] || ''
+      }));
+  }
+
   resolveActor(input) {
     let actor = null;
     
@@ -156,14 +533,24 @@ export class BaseExtractor {
       skills: this.getDefaultSkills(),
       spellSlots: this.getDefaultSpellSlots(),
       spells: [],
+      spellcasting: [],
       weapons: [],
+      inventory: [],
+      currency: { pp: 0, gp: 0, ep: 0, sp: 0, cp: 0 },
+      encumbrance: { value: 0, max: 0, pct: 0, status: 'unencumbered' },
+      features: [],
+      resources: [],
       combat: {
         conditions: [],
+        statuses: [],
+        effects: [],
+        concentration: null,
         hp: { value: 10, max: 10, tempValue: 0, tempMax: 0 },
         ac: { value: 10, equipped: 10, natural: 10 },
         initiative: { modifier: 0 },
         exhaustion: 0,
         deathSaves: { success: 0, failure: 0 },
+        hitDice: {},
         mv: { walk: 30 },
         senses: {}
       }
@@ -192,11 +579,15 @@ export class BaseExtractor {
   getCombatData(actor) {
     return {
       conditions: this.getConditions(actor),
+      statuses: this.getStatuses(actor),
+      effects: this.getEffects(actor),
+      concentration: this.getConcentration(actor),
       hp: this.getHP(actor),
       ac: this.getAC(actor),
       initiative: this.getInitiative(actor),
       exhaustion: this.getExhaustion(actor),
       deathSaves: this.getDeathSaves(actor),
+      hitDice: this.getHitDice(actor),
       mv: this.getMovement(actor),
       senses: this.getSenses(actor)
     };
@@ -219,10 +610,274 @@ export class BaseExtractor {
     throw new Error('getSpells must be implemented by subclass');
   }
 
+  /**
+   * Spellcasting of each class that casts, subclasses included (e.g. an
+   * Eldritch Knight's Fighter levels)
+   * Limits the system doesn't track are null, and so is the preparation
+   * when the class data doesn't say.
+   * @returns {Array<Object>} e.g. { classId, identifier, name, ability, dc,
+   *   attack: '+7', progression: 'full', preparation: 'prepared',
+   *   prepared: { value: 5, max: 8 }, cantrips: { value: 3, max: 3 } }
+   */
+  getSpellcasting(actor) {
+    const spells = actor.items.filter(i => i.type === 'spell');
+    
+    return this.getSpellcastingClasses(actor).map(({ cls, spellcasting }) => {
+      const identifier = cls.system.identifier;
+      const ability = spellcasting.ability || actor.system.attributes?.spellcasting || 'int';
+      const own = spells.filter(spell => this.getSpellClass(actor, spell)?.id === cls.id);
+      const scale = actor.system.scale?.[identifier] || {};
+      
+      return {
+        classId: cls.id,
+        identifier,
+        name: cls.name,
+        ability,
+        dc: this.getSpellDC(actor, ability),
+        attack: this.getSpellAttack(actor, ability),
+        progression: spellcasting.progression,
+        preparation: this.getSpellPreparation(spellcasting, scale),
+        prepared: {
+          value: own.filter(spell => spell.system.level > 0 && 
+            spell.system.preparation?.mode === 'prepared' && spell.system.preparation.prepared).length,
+          max: spellcasting.preparation?.max ?? scale['max-prepared']?.value ?? null
+        },
+        cantrips: {
+          value: own.filter(spell => spell.system.level === 0).length,
+          max: scale['cantrips-known']?.value ?? null
+        }
+      };
+    });
+  }
+
+  /**
+   * How a class readies its spells: 'pact', 'prepared', 'known' or null
+   * D&D5e v5 sets a spellcasting type and a preparation formula; before that
+   * only the class's scale values (max-prepared, spells-known) tell.
+   */
+  getSpellPreparation(spellcasting, scale) {
+    if (spellcasting.type === 'pact' || spellcasting.progression === 'pact') return 'pact';
+    if (spellcasting.preparation?.formula || scale['max-prepared']) return 'prepared';
+    if (scale['spells-known']) return 'known';
+    return null;
+  }
+
+  /**
+   * Class items that cast spells, with the spellcasting that applies
+   * A subclass's spellcasting counts when its class has none.
+   * @returns {Array<Object>} { cls, spellcasting }
+   */
+  getSpellcastingClasses(actor) {
+    const casts = spellcasting => spellcasting?.progression && spellcasting.progression !== 'none';
+    
+    return actor.items.filter(i => i.type === 'class').map(cls => {
+      const subclass = actor.items.find(i => i.type === 'subclass' && 
+        i.system.classIdentifier === cls.system.identifier);
+      const spellcasting = [cls.system.spellcasting, subclass?.system.spellcasting].find(casts);
+      return spellcasting ? { cls, spellcasting } : null;
+    }).filter(Boolean);
+  }
+
+  /**
+   * The class a spell is cast through
+   * D&D5e v4+ records it on the spell; before that only spells granted by
+   * advancement know, and a single-class caster owns everything.
+   * @returns {Item|null} The class item
+   */
+  getSpellClass(actor, spell) {
+    const classes = this.getSpellcastingClasses(actor).map(({ cls }) => cls);
+    
+    const sourceClass = spell.system.sourceClass;
+    if (sourceClass) {
+      return classes.find(cls => cls.system.identifier === sourceClass) || null;
+    }
+    
+    const originId = spell.getFlag?.('dnd5e', 'advancementOrigin')?.split('.')[0];
+    const origin = originId ? actor.items.get(originId) : null;
+    if (origin?.type === 'class') return classes.find(cls => cls.id === origin.id) || null;
+    if (origin?.type === 'subclass') {
+      return classes.find(cls => cls.system.identifier === origin.system.classIdentifier) || null;
+    }
+    
+    return classes.length === 1 ? classes[0] : null;
+  }
+
+  /**
+   * Ability a spell is cast with: its own override, its class's, or the
+   * actor's main spellcasting ability
+   */
+  getSpellAbility(actor, spell) {
+    if (spell.system.ability) return spell.system.ability;
+    
+    const cls = this.getSpellClass(actor, spell);
+    const classAbility = cls && this.getSpellcastingClasses(actor)
+      .find(entry => entry.cls.id === cls.id)?.spellcasting.ability;
+    return classAbility || actor.system.attributes?.spellcasting || 'int';
+  }
+
+  /**
+   * Spell save DC with an ability
+   * The system's ability DC includes the actor's spell DC bonus.
+   */
+  getSpellDC(actor, ability) {
+    const abilityDC = actor.system.abilities?.[ability]?.dc;
+    if (Number.isFinite(abilityDC)) return abilityDC;
+    
+    const prof = actor.system.attributes?.prof || 2;
+    return 8 + prof + (actor.system.abilities?.[ability]?.mod || 0);
+  }
+
+  /**
+   * Spell attack bonus with an ability, with the actor's ranged spell
+   * attack bonus (usually the same as the melee one)
+   * @returns {string} e.g. '+7'
+   */
+  getSpellAttack(actor, ability) {
+    const prof = actor.system.attributes?.prof || 2;
+    const abilityMod = actor.system.abilities?.[ability]?.mod || 0;
+    const bonus = FormulaParser.evaluate(actor.system.bonuses?.rsak?.attack, actor);
+    
+    const total = abilityMod + prof + bonus;
+    return total >= 0 ? `+${total}` : `${total}`;
+  }
+
+  /**
+   * How a spell improves with the caster's level (cantrips) or the slot
+   * level it is cast at
+   * @returns {Object|null} { mode: 'cantrip' | 'level', formula }
+   */
+  getSpellScaling(item) {
+    throw new Error('getSpellScaling must be implemented by subclass');
+  }
+
   getWeapons(actor) {
     throw new Error('getWeapons must be implemented by subclass');
   }
 
+  /**
+   * Every physical item the actor carries, weapons included
+   * Containers and their contents are listed side by side, each item
+   * pointing at the container holding it.
+   * @returns {Array<Object>} e.g. { id, name, type, img, quantity, weight,
+   *   equipped, attunement, attuned, rarity, identified, containerId, uses }
+   */
+  getInventory(actor) {
+    throw new Error('getInventory must be implemented by subclass');
+  }
+
+  /**
+   * Coins by denomination
+   * @returns {Object} { pp, gp, ep, sp, cp }
+   */
+  getCurrency(actor) {
+    const currency = actor.system.currency || {};
+    return {
+      pp: currency.pp || 0,
+      gp: currency.gp || 0,
+      ep: currency.ep || 0,
+      sp: currency.sp || 0,
+      cp: currency.cp || 0
+    };
+  }
+
+  /**
+   * Carried weight against the actor's carrying capacity
+   * @returns {Object} { value, max, pct, units, status } where status is
+   *   unencumbered, encumbered, heavilyEncumbered or overloaded
+   */
+  getEncumbrance(actor) {
+    throw new Error('getEncumbrance must be implemented by subclass');
+  }
+
+  /**
+   * Encumbrance status as the system applies it
+   * D&D5e v3.1+ keeps status effects in step with the encumbrance rule the
+   * world uses; without them only going over the maximum counts.
+   */
+  getEncumbranceStatus(actor, encumbrance) {
+    const statuses = actor.statuses;
+    if (statuses?.has('exceedingCarryingCapacity')) return 'overloaded';
+    if (statuses?.has('heavilyEncumbered')) return 'heavilyEncumbered';
+    if (statuses?.has('encumbered')) return 'encumbered';
+    if (encumbrance.max && encumbrance.value > encumbrance.max) return 'overloaded';
+    return 'unencumbered';
+  }
+
+  /**
+   * Class, subclass, race and background features and feats
+   * @returns {Array<Object>} e.g. { id, name, img, source, sourceName,
+   *   activation, uses: { value, max, recovery: ['sr'] } }, with activities
+   *   on D&D5e v4+
+   */
+  getFeatures(actor) {
+    throw new Error('getFeatures must be implemented by subclass');
+  }
+
+  /**
+   * Where a feature comes from
+   * Features granted by advancement remember the item that granted them,
+   * others fall back to the feature type the sheet groups them by.
+   * @returns {Object} { source, sourceName } where source is class, subclass,
+   *   race, background, monster or feat
+   */
+  getFeatureSource(actor, item) {
+    const originId = item.getFlag?.('dnd5e', 'advancementOrigin')?.split('.')[0];
+    const origin = originId ? actor.items.get(originId) : null;
+    if (origin && ['class', 'subclass', 'race', 'background'].includes(origin.type)) {
+      return { source: origin.type, sourceName: origin.name };
+    }
+    
+    const requirements = item.system.requirements || '';
+    const subclass = actor.items.find(i => i.type === 'subclass' && requirements.includes(i.name));
+    if (subclass) {
+      return { source: 'subclass', sourceName: subclass.name };
+    }
+    
+    const type = item.system.type?.value;
+    if (['class', 'race', 'background', 'monster'].includes(type)) {
+      return { source: type, sourceName: requirements };
+    }
+    return { source: 'feat', sourceName: requirements };
+  }
+
+  /**
+   * Limited-use resources in one list: the legacy primary, secondary and
+   * tertiary resources, then every feature with uses
+   * @returns {Array<Object>} e.g. { id: 'primary', name: 'Ki', value, max, recovery: ['sr'] }
+   *   or { id, name, value, max, recovery, itemId } for a feature
+   */
+  getResources(actor) {
+    const resources = [];
+    
+    for (const key of ['primary', 'secondary', 'tertiary']) {
+      const resource = actor.system.resources?.[key];
+      if (!resource?.max) continue;
+      
+      // A short rest resource comes back on a long rest too
+      resources.push({
+        id: key,
+        name: resource.label || key.charAt(0).toUpperCase() + key.slice(1),
+        value: resource.value || 0,
+        max: resource.max,
+        recovery: resource.sr ? ['sr'] : (resource.lr ? ['lr'] : [])
+      });
+    }
+    
+    for (const feature of this.getFeatures(actor)) {
+      if (!feature.uses) continue;
+      resources.push({
+        id: feature.id,
+        name: feature.name,
+        value: feature.uses.value,
+        max: feature.uses.max,
+        recovery: feature.uses.recovery,
+        itemId: feature.id
+      });
+    }
+    
+    return resources;
+  }
+
   getAbilities(actor) {
     throw new Error('getAbilities must be implemented by subclass');
   }
@@ -239,6 +894,31 @@ export class BaseExtractor {
     throw new Error('getConditions must be implemented by subclass');
   }
 
+  /**
+   * Every status effect the system offers, marked active or not
+   * @returns {Array<Object>} e.g. { id: 'prone', name, img, active, description },
+   *   exhaustion also has its level and maxLevel
+   */
+  getStatuses(actor) {
+    throw new Error('getStatuses must be implemented by subclass');
+  }
+
+  /**
+   * The actor's own ActiveEffects, which the phone can enable and disable
+   * Effects transferred from items live on the items and aren't listed.
+   */
+  getEffects(actor) {
+    throw new Error('getEffects must be implemented by subclass');
+  }
+
+  /**
+   * The effect the character is concentrating on and the spell behind it
+   * @returns {Object|null} { effectId, name, img, itemId, itemName }
+   */
+  getConcentration(actor) {
+    throw new Error('getConcentration must be implemented by subclass');
+  }
+
   getHP(actor) {
     throw new Error('getHP must be implemented by subclass');
   }
@@ -259,6 +939,14 @@ export class BaseExtractor {
     throw new Error('getDeathSaves must be implemented by subclass');
   }
 
+  /**
+   * Hit dice by size for choosing what to spend on a short rest
+   * @returns {Object} e.g. { d8: { value: 2, max: 3 }, d10: { value: 1, max: 1 } }
+   */
+  getHitDice(actor) {
+    throw new Error('getHitDice must be implemented by subclass');
+  }
+
   getMovement(actor) {
     throw new Error('getMovement must be implemented by subclass');
   }
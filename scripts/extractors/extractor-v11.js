@@ -57,6 +57,7 @@ export class ExtractorV11 extends BaseExtractor {
         .map(s => s.name);
       
       return {
+        id: act.id,
         name: act.name,
         img: act.img || 'icons/svg/mystery.svg',
         identifier: identifier,
@@ -73,11 +74,13 @@ export class ExtractorV11 extends BaseExtractor {
     
     return items.map(item => {
       const data = {
+        id: item.id,
         name: item.name,
         img: item.img,
         level: item.system.level || 0,
         activation: this.normalizeActivation(item.labels?.activation) || this.getActivationLabel(item),
         prepared: false,
+        preparation: item.system.preparation?.mode || '',
         range: item.labels?.range || this.getRangeLabel(item),
         target: this.normalizeTarget(item.labels?.target) || this.getTargetLabel(item),
         school: item.labels?.school || this.getSchoolLabel(item.system.school),
@@ -126,6 +129,11 @@ export class ExtractorV11 extends BaseExtractor {
         }
       }
       
+      const save = this.getSpellSave(item, actor);
+      if (save) {
+        data.save = save;
+      }
+      
       return data;
     });
   }
@@ -135,6 +143,7 @@ export class ExtractorV11 extends BaseExtractor {
     
     return items.map(item => {
       const data = {
+        id: item.id,
         name: item.name,
         img: item.img,
         type: item.labels?.weaponType || this.getWeaponTypeLabel(item),
@@ -223,6 +232,84 @@ export class ExtractorV11 extends BaseExtractor {
     });
   }
 
+  getInventory(actor) {
+    // Physical items are the ones with a quantity
+    const items = actor.items.filter(i => i.system.quantity !== undefined);
+    
+    return items.map(item => {
+      const identified = item.system.identified !== false;
+      const data = {
+        id: item.id,
+        name: identified ? item.name : (item.system.unidentified?.name || item.name),
+        type: item.type,
+        img: item.img,
+        quantity: item.system.quantity || 0,
+        weight: item.system.weight || 0,
+        equipped: item.system.equipped || false,
+        attunement: item.system.attunement || '',
+        attuned: item.system.attuned || false,
+        rarity: item.system.rarity || '',
+        identified,
+        containerId: item.system.container || null
+      };
+      
+      // Charges on consumables, wands and the like
+      if (item.system.uses?.max) {
+        const max = parseInt(item.system.uses.max) || 0;
+        if (max) {
+          data.uses = {
+            value: item.system.uses.value || 0,
+            max: max
+          };
+        }
+      }
+      
+      return data;
+    });
+  }
+
+  getEncumbrance(actor) {
+    const encumbrance = actor.system.attributes.encumbrance || {};
+    const data = {
+      value: encumbrance.value || 0,
+      max: encumbrance.max || 0,
+      pct: encumbrance.pct || 0,
+      units: game.settings.get('dnd5e', 'metricWeightUnits') ? 'kg' : 'lb'
+    };
+    data.status = this.getEncumbranceStatus(actor, data);
+    return data;
+  }
+
+  getFeatures(actor) {
+    const items = actor.items.filter(i => i.type === 'feat');
+    
+    return items.map(item => {
+      const data = {
+        id: item.id,
+        name: item.name,
+        img: item.img,
+        ...this.getFeatureSource(actor, item),
+        // Passive features have no activation
+        activation: item.system.activation?.type
+          ? this.normalizeActivation(item.labels?.activation) || this.getActivationLabel(item)
+          : ''
+      };
+      
+      // Limited uses and when they come back (charges don't)
+      const max = parseInt(item.system.uses?.max) || 0;
+      if (max) {
+        const per = item.system.uses.per;
+        data.uses = {
+          value: item.system.uses.value || 0,
+          max: max,
+          recovery: per && per !== 'charges' ? [per] : []
+        };
+      }
+      
+      return data;
+    });
+  }
+
   getAbilities(actor) {
     const abilities = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
     const result = {};
@@ -307,11 +394,59 @@ export class ExtractorV11 extends BaseExtractor {
     );
     
     return conditions.map(effect => ({
+      id: effect.id,
       name: effect.name,  // In v11, use name instead of label
       img: effect.icon || effect.img  // v11 still uses icon
     }));
   }
 
+  getStatuses(actor) {
+    const exhaustion = actor.system.attributes.exhaustion || 0;
+    
+    return CONFIG.statusEffects.filter(status => status.id).map(status => {
+      const entry = {
+        id: status.id,
+        name: game.i18n.localize(status.name ?? status.label),
+        img: status.icon || status.img,  // v11 still uses icon
+        active: status.id === 'exhaustion' ? exhaustion > 0 : actor.statuses.has(status.id),
+        description: this.statusDescriptions.get(status.id)
+      };
+      
+      if (status.id === 'exhaustion') {
+        entry.level = exhaustion;
+        entry.maxLevel = CONFIG.DND5E.conditionTypes.exhaustion?.levels ?? 6;
+      }
+      return entry;
+    });
+  }
+
+  getEffects(actor) {
+    return actor.effects.map(effect => ({
+      id: effect.id,
+      name: effect.name,
+      img: effect.icon || effect.img,  // v11 still uses icon
+      disabled: effect.disabled,
+      statuses: Array.from(effect.statuses || []),
+      duration: effect.duration?.label || undefined
+    }));
+  }
+
+  getConcentration(actor) {
+    const effect = actor.effects.find(e => e.statuses?.has('concentrating'));
+    if (!effect) return null;
+    
+    // The effect's origin is the spell
+    const item = effect.origin ? fromUuidSync(effect.origin) : null;
+    
+    return {
+      effectId: effect.id,
+      name: effect.name,
+      img: effect.icon || effect.img,
+      itemId: item?.id,
+      itemName: item?.name
+    };
+  }
+
   getHP(actor) {
     const hp = actor.system.attributes.hp;
     return {
@@ -348,6 +483,16 @@ export class ExtractorV11 extends BaseExtractor {
     };
   }
 
+  getHitDice(actor) {
+    const hitDice = {};
+    for (const cls of actor.items.filter(i => i.type === 'class')) {
+      const size = hitDice[cls.system.hitDice] ??= { value: 0, max: 0 };
+      size.max += cls.system.levels || 0;
+      size.value += (cls.system.levels || 0) - (cls.system.hitDiceUsed || 0);
+    }
+    return hitDice;
+  }
+
   getMovement(actor) {
     const movement = actor.system.attributes.movement;
     
@@ -790,9 +935,34 @@ export class ExtractorV11 extends BaseExtractor {
     return schoolMap[lowerSchool] || school.charAt(0).toUpperCase() + school.slice(1);
   }
   
+  getSpellScaling(item) {
+    const scaling = item.system.scaling;
+    if (!scaling?.mode || scaling.mode === 'none') return null;
+    return { mode: scaling.mode, formula: scaling.formula || '' };
+  }
+  
+  /**
+   * Saving throw a spell calls for, with the DC of the class it is cast
+   * through rather than the actor's main spellcasting DC
+   */
+  getSpellSave(item, actor) {
+    const save = item.system.save;
+    if (!save?.ability) return null;
+    
+    let dc;
+    if (save.scaling === 'flat') {
+      dc = save.dc;
+    } else if (save.scaling === 'spell' || !save.scaling) {
+      dc = this.getSpellDC(actor, this.getSpellAbility(actor, item));
+    } else {
+      dc = this.getSpellDC(actor, save.scaling);
+    }
+    return { ability: save.ability, dc: dc ?? null };
+  }
+  
   getSpellAttackBonus(spell, actor) {
-    // Use spell's abilityMod if available, otherwise use actor's spellcasting ability
-    const spellcastingAbility = spell.abilityMod || actor.system.attributes?.spellcasting || 'int';
+    // The ability of the class the spell is cast through, for multiclass casters
+    const spellcastingAbility = this.getSpellAbility(actor, spell);
     const abilityMod = actor.system.abilities[spellcastingAbility]?.mod || 0;
     const prof = actor.system.attributes?.prof || 2;
     
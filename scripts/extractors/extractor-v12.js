@@ -50,6 +50,7 @@ export class ExtractorV12 extends BaseExtractor {
         .map(s => s.name);
       
       return {
+        id: act.id,
         name: act.name,
         img: act.img || 'icons/svg/mystery.svg',
         identifier: identifier,
@@ -66,11 +67,13 @@ export class ExtractorV12 extends BaseExtractor {
     
     return items.map(item => {
       const data = {
+        id: item.id,
         name: item.name,
         img: item.img,
         level: item.system.level,
         activation: this.normalizeActivation(item.labels?.activation || 'Unknown'),
         prepared: this.isSpellPrepared(item),
+        preparation: item.system.preparation?.mode || '',
         range: item.labels?.range || 'Unknown',
         target: this.getTargetLabel(item),
         school: this.getSchoolLabel(item.labels?.school || item.system.school),
@@ -106,6 +109,17 @@ export class ExtractorV12 extends BaseExtractor {
         };
       }
       
+      // Every activity, for items with more than one way to use them
+      const activities = this.getActivities(item);
+      if (activities.length > 0) {
+        data.activities = activities;
+      }
+      
+      const save = this.getSpellSave(item, actor);
+      if (save) {
+        data.save = save;
+      }
+      
       return data;
     });
   }
@@ -115,6 +129,7 @@ export class ExtractorV12 extends BaseExtractor {
     
     return items.map(item => {
       const data = {
+        id: item.id,
         name: item.name,
         img: item.img,
         type: item.system.type?.label || item.system.weaponType || 'Unknown',
@@ -193,6 +208,88 @@ export class ExtractorV12 extends BaseExtractor {
         };
       }
       
+      // Every activity, for items with more than one way to use them
+      const activities = this.getActivities(item);
+      if (activities.length > 0) {
+        data.activities = activities;
+      }
+      
+      return data;
+    });
+  }
+
+  getInventory(actor) {
+    // Physical items are the ones with a quantity
+    const items = actor.items.filter(i => i.system.quantity !== undefined);
+    
+    return items.map(item => {
+      const identified = item.system.identified !== false;
+      const data = {
+        id: item.id,
+        name: identified ? item.name : (item.system.unidentified?.name || item.name),
+        type: item.type,
+        img: item.img,
+        quantity: item.system.quantity || 0,
+        weight: item.system.weight?.value || 0,
+        equipped: item.system.equipped || false,
+        attunement: item.system.attunement || '',
+        attuned: item.system.attuned || false,
+        rarity: item.system.rarity || '',
+        identified,
+        containerId: item.system.container || null
+      };
+      
+      // Charges on consumables, wands and the like
+      if (item.system.uses?.max) {
+        data.uses = {
+          value: item.system.uses.value || 0,
+          max: item.system.uses.max
+        };
+      }
+      
+      return data;
+    });
+  }
+
+  getEncumbrance(actor) {
+    const encumbrance = actor.system.attributes.encumbrance || {};
+    const data = {
+      value: encumbrance.value || 0,
+      max: encumbrance.max || 0,
+      pct: encumbrance.pct || 0,
+      units: game.settings.get('dnd5e', 'metricWeightUnits') ? 'kg' : 'lb'
+    };
+    data.status = this.getEncumbranceStatus(actor, data);
+    return data;
+  }
+
+  getFeatures(actor) {
+    const items = actor.items.filter(i => i.type === 'feat');
+    
+    return items.map(item => {
+      const activities = this.getActivities(item);
+      const data = {
+        id: item.id,
+        name: item.name,
+        img: item.img,
+        ...this.getFeatureSource(actor, item),
+        // Passive features have no activities
+        activation: activities[0]?.activation || ''
+      };
+      
+      // Limited uses and each period that recovers them
+      if (item.system.uses?.max) {
+        data.uses = {
+          value: item.system.uses.value || 0,
+          max: item.system.uses.max,
+          recovery: (item.system.uses.recovery || []).map(r => r.period)
+        };
+      }
+      
+      if (activities.length > 0) {
+        data.activities = activities;
+      }
+      
       return data;
     });
   }
@@ -289,11 +386,60 @@ export class ExtractorV12 extends BaseExtractor {
     );
     
     return conditions.map(effect => ({
+      id: effect.id,
       name: effect.name,  // Use name, not label (deprecated in v11)
       img: effect.img     // Use img, not icon (deprecated in v12)
     }));
   }
 
+  getStatuses(actor) {
+    const exhaustion = actor.system.attributes.exhaustion || 0;
+    
+    return CONFIG.statusEffects.filter(status => status.id).map(status => {
+      const entry = {
+        id: status.id,
+        name: game.i18n.localize(status.name ?? status.label),
+        img: status.img,
+        active: status.id === 'exhaustion' ? exhaustion > 0 : actor.statuses.has(status.id),
+        description: this.statusDescriptions.get(status.id)
+      };
+      
+      if (status.id === 'exhaustion') {
+        entry.level = exhaustion;
+        entry.maxLevel = CONFIG.DND5E.conditionTypes.exhaustion?.levels ?? 6;
+      }
+      return entry;
+    });
+  }
+
+  getEffects(actor) {
+    return actor.effects.map(effect => ({
+      id: effect.id,
+      name: effect.name,
+      img: effect.img,
+      disabled: effect.disabled,
+      statuses: Array.from(effect.statuses || []),
+      duration: effect.duration?.label || undefined
+    }));
+  }
+
+  getConcentration(actor) {
+    const effect = actor.effects.find(e => e.statuses?.has('concentrating'));
+    if (!effect) return null;
+    
+    // The effect's origin is the spell's activity, or the spell itself
+    const origin = effect.origin ? fromUuidSync(effect.origin) : null;
+    const item = origin?.item ?? origin;
+    
+    return {
+      effectId: effect.id,
+      name: effect.name,
+      img: effect.img,
+      itemId: item?.id,
+      itemName: item?.name
+    };
+  }
+
   getHP(actor) {
     const hp = actor.system.attributes.hp;
     return {
@@ -330,6 +476,18 @@ export class ExtractorV12 extends BaseExtractor {
     };
   }
 
+  getHitDice(actor) {
+    const hitDice = {};
+    for (const cls of actor.items.filter(i => i.type === 'class')) {
+      const hd = cls.system.hd;
+      const max = hd.max ?? cls.system.levels ?? 0;
+      const size = hitDice[hd.denomination] ??= { value: 0, max: 0 };
+      size.max += max;
+      size.value += hd.value ?? max - (hd.spent || 0);
+    }
+    return hitDice;
+  }
+
   getMovement(actor) {
     const movement = actor.system.attributes.movement;
     
@@ -735,9 +893,46 @@ export class ExtractorV12 extends BaseExtractor {
     return schoolMap[lowerSchool] || school.charAt(0).toUpperCase() + school.slice(1);
   }
   
+  getSpellScaling(item) {
+    const parts = [];
+    for (const activity of item.system.activities?.values() || []) {
+      parts.push(...(activity.damage?.parts || []));
+      if (activity.healing) parts.push(activity.healing);
+    }
+    if (parts.length === 0) return null;
+    
+    // Cantrip dice grow with the character's level on their own
+    if (item.system.level === 0) return { mode: 'cantrip', formula: '' };
+    
+    const formulas = parts
+      .filter(part => part.scaling?.mode)
+      .map(part => part.scaling.number && part.denomination 
+        ? `${part.scaling.number}d${part.denomination}` 
+        : part.scaling.formula)
+      .filter(Boolean);
+    return formulas.length > 0 ? { mode: 'level', formula: formulas.join(' + ') } : null;
+  }
+  
+  /**
+   * Saving throw of a spell's first save activity
+   * The system works the DC out from the class the spell is cast through.
+   */
+  getSpellSave(item, actor) {
+    const activity = Array.from(item.system.activities?.values() || []).find(a => a.type === 'save');
+    if (!activity?.save) return null;
+    
+    // save.ability is a Set in v4.1+, a single key before
+    const abilities = activity.save.ability;
+    const ability = abilities instanceof Set ? Array.from(abilities)[0] : abilities;
+    if (!ability) return null;
+    
+    const dc = activity.save.dc?.value ?? this.getSpellDC(actor, this.getSpellAbility(actor, item));
+    return { ability, dc };
+  }
+  
   getSpellAttackBonus(spell, actor) {
-    // Use spell's abilityMod if available, otherwise use actor's spellcasting ability
-    const spellcastingAbility = spell.abilityMod || actor.system.attributes?.spellcasting || 'int';
+    // The ability of the class the spell is cast through, for multiclass casters
+    const spellcastingAbility = this.getSpellAbility(actor, spell);
     const abilityMod = actor.system.abilities[spellcastingAbility]?.mod || 0;
     const prof = actor.system.attributes?.prof || 2;
     
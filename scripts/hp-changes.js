@@ -0,0 +1,250 @@
+/**
+ * HP Changes for Mage Hand Module
+ * Applies damage, healing, temp HP and max HP overrides sent from the phone.
+ * Damage and healing go through the system's damage application, so traits
+ * and concentration behave as they do from a chat card. With the hpApproval
+ * world setting on, players wait for the GM to approve each change.
+ */
+
+import { PlayError, ErrorCode } from './utils/errors.js';
+import { logger } from './utils/logger.js';
+
+export class HpChangeManager {
+  static KINDS = ['damage', 'healing', 'temp', 'max'];
+
+  constructor(mageHand) {
+    // Store reference to the module (settings, module ID)
+    this.mageHand = mageHand;
+    
+    // Approvals travel between the player's and the GM's Foundry clients
+    this.socketName = `module.${mageHand.moduleId}`;
+    
+    // Changes waiting on the GM, by approvalId
+    this.pending = new Map();
+    
+    this.approvalTimeout = 60000;
+    
+    this.log = logger.child('HP');
+    this.log.verbose('HP change manager initialized');
+  }
+
+  /**
+   * Register the module socket listener
+   */
+  init() {
+    game.socket.on(this.socketName, this.onSocketMessage.bind(this));
+    this.log.verbose('HP approval socket registered');
+  }
+
+  /**
+   * Check a PLAY:HP:APPLY message and build the change it asks for
+   * Sample: { kind: 'damage', amount: 7, damageType: 'fire' }
+   * A max change with a null amount clears a character's override; NPCs
+   * store their max HP in the same field, so they can't clear it.
+   * @param {Object} message - The PLAY message
+   * @param {Actor} actor - The actor the change is for
+   * @returns {Object} { kind, amount, damageType }
+   * @throws {PlayError} If the change is invalid
+   */
+  parseChange(message, actor) {
+    const { kind, amount, damageType } = message;
+    
+    if (!HpChangeManager.KINDS.includes(kind)) {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, `Invalid HP change: ${kind}`);
+    }
+    
+    if (kind === 'max') {
+      if (amount !== null && (!Number.isInteger(amount) || amount < 1)) {
+        throw new PlayError(ErrorCode.INVALID_REQUEST, `Invalid max HP: ${amount}`);
+      }
+      if (amount === null && actor.type !== 'character') {
+        throw new PlayError(ErrorCode.INVALID_REQUEST, `${actor.name} has no max HP override to clear`);
+      }
+    } else if (!Number.isInteger(amount) || amount < 0) {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, `Invalid ${kind} amount: ${amount}`);
+    }
+    
+    if (damageType !== undefined && damageType !== null) {
+      if (kind !== 'damage') {
+        throw new PlayError(ErrorCode.INVALID_REQUEST, 'Only damage can have a damage type');
+      }
+      if (!CONFIG.DND5E.damageTypes[damageType]) {
+        throw new PlayError(ErrorCode.INVALID_REQUEST, `Invalid damage type: ${damageType}`);
+      }
+    }
+    
+    return { kind, amount, damageType: damageType ?? undefined };
+  }
+
+  /**
+   * Apply a change, asking the GM first when the world requires it
+   * @param {Actor} actor - The actor
+   * @param {Object} change - Result of parseChange
+   * @returns {Promise<Object>} The change with the HP before and after it,
+   *   e.g. { kind, amount, damageType, before: { value, temp, max }, after: {...} }
+   */
+  async apply(actor, change) {
+    if (this.needsApproval()) {
+      await this.requestApproval(actor, change);
+    }
+    
+    const before = this.getHP(actor);
+    await this.performChange(actor, change);
+    const after = this.getHP(actor);
+    
+    this.log.info(`Applied ${this.describeChange(change)} to ${actor.name}: ${before.value} -> ${after.value} HP`);
+    return { ...change, before, after };
+  }
+
+  needsApproval() {
+    return !game.user.isGM && game.settings.get(this.mageHand.moduleId, 'hpApproval');
+  }
+
+  getHP(actor) {
+    const hp = actor.system.attributes.hp;
+    return { value: hp.value, temp: hp.temp || 0, max: hp.max };
+  }
+
+  async performChange(actor, { kind, amount, damageType }) {
+    switch (kind) {
+      case 'damage':
+        // A typed damage description makes the system apply resistances,
+        // immunities and vulnerabilities from the actor's traits
+        return actor.applyDamage(damageType ? [{ value: amount, type: damageType }] : amount);
+      case 'healing':
+        return actor.applyDamage(-amount);
+      case 'temp':
+        return actor.applyTempHP(amount);
+      case 'max':
+        // Without an override the system computes max HP from the classes
+        return actor.update({ 'system.attributes.hp.max': amount });
+    }
+  }
+
+  describeChange({ kind, amount, damageType }) {
+    switch (kind) {
+      case 'damage': {
+        const label = damageType ? CONFIG.DND5E.damageTypes[damageType].label : null;
+        return label ? `${amount} ${game.i18n.localize(label).toLowerCase()} damage` : `${amount} damage`;
+      }
+      case 'healing':
+        return `${amount} healing`;
+      case 'temp':
+        return `${amount} temporary HP`;
+      case 'max':
+        return amount === null ? 'clearing the max HP override' : `a max HP override of ${amount}`;
+    }
+  }
+
+  /**
+   * Ask the active GM to approve a change
+   * @returns {Promise<void>} Resolves once approved
+   * @throws {PlayError} APPROVAL_DENIED if rejected, unanswered or no GM is online
+   */
+  requestApproval(actor, change) {
+    const gm = game.users.activeGM;
+    if (!gm) {
+      return Promise.reject(new PlayError(ErrorCode.APPROVAL_DENIED, 'No GM is online to approve HP changes'));
+    }
+    
+    const approvalId = foundry.utils.randomID();
+    this.log.verbose(`Asking ${gm.name} to approve ${this.describeChange(change)} to ${actor.name}`);
+    
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(approvalId);
+        reject(new PlayError(ErrorCode.APPROVAL_DENIED, `${gm.name} did not answer the HP change request`));
+      }, this.approvalTimeout);
+      
+      this.pending.set(approvalId, { resolve, reject, timer, gmId: gm.id, gmName: gm.name });
+      
+      game.socket.emit(this.socketName, {
+        action: 'hpApprovalRequest',
+        approvalId,
+        gmId: gm.id,
+        userId: game.user.id,
+        actorId: actor.id,
+        change
+      });
+    });
+  }
+
+  /**
+   * Handle a module socket message from another Foundry client
+   * Every client receives these, so the asking player and the answering GM
+   * are identified by the socket's sender ID rather than the payload.
+   * @param {Object} data - Message payload
+   * @param {string} senderId - ID of the user whose client emitted it
+   */
+  onSocketMessage(data, senderId) {
+    switch (data?.action) {
+      case 'hpApprovalRequest':
+        if (data.gmId === game.user.id) {
+          this.onApprovalRequest({ ...data, userId: senderId });
+        }
+        break;
+      case 'hpApprovalResponse':
+        if (data.userId === game.user.id) {
+          this.onApprovalResponse(data, senderId);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Ask the GM about a player's change and send back the answer
+   */
+  async onApprovalRequest({ approvalId, userId, actorId, change }) {
+    const actor = game.actors.get(actorId);
+    const user = game.users.get(userId);
+    
+    let approved = false;
+    if (actor && user) {
+      const escape = Handlebars.escapeExpression;
+      approved = await this.confirm(
+        'Mage Hand: HP Change',
+        `<p>${escape(user.name)} wants to apply ${escape(this.describeChange(change))} to <strong>${escape(actor.name)}</strong>.</p>`
+      );
+    }
+    
+    this.log.info(`${approved ? 'Approved' : 'Rejected'} HP change for ${actor?.name || actorId}`);
+    game.socket.emit(this.socketName, {
+      action: 'hpApprovalResponse',
+      approvalId,
+      userId,
+      approved
+    });
+  }
+
+  onApprovalResponse({ approvalId, approved }, senderId) {
+    const entry = this.pending.get(approvalId);
+    if (!entry) return;
+    
+    // Only the GM that was asked can answer
+    if (senderId !== entry.gmId) {
+      this.log.warn(`Ignored HP approval response from user ${senderId}`);
+      return;
+    }
+    
+    clearTimeout(entry.timer);
+    this.pending.delete(approvalId);
+    
+    if (approved) {
+      entry.resolve();
+    } else {
+      entry.reject(new PlayError(ErrorCode.APPROVAL_DENIED, `${entry.gmName} rejected the HP change`));
+    }
+  }
+
+  /**
+   * Yes/no prompt, with DialogV2 where the core has it (v12+)
+   * @returns {Promise<boolean>} True only for an explicit yes
+   */
+  async confirm(title, content) {
+    const DialogV2 = foundry.applications?.api?.DialogV2;
+    const answer = DialogV2
+      ? await DialogV2.confirm({ window: { title }, content, rejectClose: false })
+      : await Dialog.confirm({ title, content, defaultYes: false });
+    return answer === true;
+  }
+}
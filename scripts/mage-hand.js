@@ -1,10 +1,21 @@
 import { ExtractorFactory } from './extractors/extractor-factory.js';
 import { RollerFactory } from './rollers/roller-factory.js';
 import { deepDiff } from './utils/deep-diff.js';
+import { hashDocument } from './utils/hash.js';
 import { SchemaRegistry } from './schemas/schema-registry.js';
 import { WebSocketHandler } from './websocket-handler.js';
 import { UIFactory } from './ui/ui-factory.js';
 import { KillTracker } from './kill-tracker.js';
+import { SyncScheduler } from './sync-scheduler.js';
+import { RollRequestManager } from './roll-requests.js';
+import { HpChangeManager } from './hp-changes.js';
+import { ConditionManager } from './conditions.js';
+import { CombatStream } from './combat-stream.js';
+import { DeathSaveTracker } from './death-saves.js';
+import { ConcentrationTracker } from './concentration.js';
+import { AssetManager } from './assets.js';
+import { RollParser } from './utils/roll-parser.js';
+import { PlayError, ErrorCode } from './utils/errors.js';
 import { logger } from './utils/logger.js';
 
 class MageHand {
@@ -14,10 +25,20 @@ class MageHand {
     this.sessionCode = null;
     this.characterData = new Map();
     this.lastSync = new Map();
+    this.revisions = new Map();
+    this.maxRevisionHistory = 50;
     this.extractor = null;
     this.roller = null;
     this.ui = null;
     this.killTracker = null;
+    this.syncScheduler = null;
+    this.rollRequests = null;
+    this.hpChanges = null;
+    this.conditions = null;
+    this.combatStream = null;
+    this.deathSaves = null;
+    this.concentration = null;
+    this.assets = null;
   }
 
   init() {
@@ -31,7 +52,11 @@ class MageHand {
     logger.info('Module ready');
     this.extractor = ExtractorFactory.getExtractor();
     logger.verbose(`Using extractor: ${this.extractor.version}`);
+    // Condition rules come from compendium pages, so load them in the
+    // background; statuses extracted before then go out again with them
+    this.extractor.loadStatusDescriptions().then(() => this.refreshStatuses());
     this.roller = RollerFactory.getInstance();
+    this.roller.extractor = this.extractor;
     logger.verbose(`Using roller: ${this.roller.version}`);
     this.websocketHandler = new WebSocketHandler(this);
     
@@ -43,6 +68,35 @@ class MageHand {
     this.killTracker = new KillTracker(this.websocketHandler);
     this.killTracker.init();
     
+    // Stream combat tracker state to the phones
+    this.combatStream = new CombatStream(this.websocketHandler);
+    this.combatStream.init();
+    
+    // Dying, death save and revival events for downed characters
+    this.deathSaves = new DeathSaveTracker(this.websocketHandler);
+    this.deathSaves.init();
+    
+    // Concentration save prompts when a concentrating character is hurt
+    this.concentration = new ConcentrationTracker(this.websocketHandler);
+    this.concentration.init();
+    
+    // Coalesce bursts of document hooks into one sync per actor
+    this.syncScheduler = new SyncScheduler(this, game.settings.get(this.moduleId, 'syncWindow'));
+    
+    // GM roll requests to players' phones
+    this.rollRequests = new RollRequestManager(this);
+    this.rollRequests.init();
+    
+    // Damage, healing and max HP from the phones, with optional GM approval
+    this.hpChanges = new HpChangeManager(this);
+    this.hpChanges.init();
+    
+    // Conditions, exhaustion and effects from the phones
+    this.conditions = new ConditionManager();
+    
+    // Actor images and item icons, rendered for the phone to cache
+    this.assets = new AssetManager();
+    
     this.registerHooks();
     this.registerUIHooks();
     
@@ -61,6 +115,17 @@ class MageHand {
     }
   }
 
+  /**
+   * Resync the statuses of every extracted actor, e.g. once their
+   * descriptions have loaded
+   */
+  refreshStatuses() {
+    for (const actorId of this.characterData.keys()) {
+      const actor = game.actors.get(actorId);
+      if (actor) this.syncScheduler?.schedule(actor, { sections: ['combat.statuses'] });
+    }
+  }
+
   registerSettings() {
     // Note: Session code is now stored in user flags, not settings
     // Settings UI is replaced by the connection panel
@@ -83,6 +148,33 @@ class MageHand {
       }
     });
 
+    // Register sync batching window (client-scoped, as sync runs per client)
+    game.settings.register(this.moduleId, 'syncWindow', {
+      name: 'Sync Batching Window (ms)',
+      hint: 'How long to wait for related changes (e.g. a level-up or long rest) to settle before sending one update to the mobile app. HP and condition changes are always sent immediately. 0 disables batching.',
+      scope: 'client',
+      config: true,
+      type: Number,
+      default: 100,
+      range: {
+        min: 0,
+        max: 1000,
+        step: 25
+      },
+      onChange: value => this.syncScheduler?.setWindow(value)
+    });
+
+    // Register GM approval for HP changes from the phones (world-scoped)
+    game.settings.register(this.moduleId, 'hpApproval', {
+      name: 'GM Approval for HP Changes',
+      hint: 'Damage, healing, temporary HP and max HP changes sent from a player\'s phone wait for the GM to approve them. Changes made by the GM\'s own phone are applied right away.',
+      scope: 'world',
+      config: true,
+      type: Boolean,
+      default: false,
+      restricted: true
+    });
+
     // Register schema version as read-only (not shown in config UI)
     game.settings.register(this.moduleId, 'schemaVersion', {
       name: 'Schema Version',
@@ -136,7 +228,10 @@ class MageHand {
     Hooks.on('updateActor', (actor, changes, options, userId) => {
       logger.debug('Actor updated:', actor.name);
       if (this.shouldSync(actor, userId)) {
-        this.handleActorUpdate(actor, changes);
+        this.syncScheduler.schedule(actor, {
+          immediate: SyncScheduler.isUrgentChange(changes),
+          sections: this.extractor.getSectionsForActorChange(changes)
+        });
       }
     });
 
@@ -148,6 +243,22 @@ class MageHand {
       }
     });
 
+    Hooks.on('createItem', (item, options, userId) => {
+      logger.debug('Item created:', item.name);
+      const actor = item.parent;
+      if (actor && this.shouldSync(actor, userId)) {
+        this.handleItemUpdate(actor, item, {});
+      }
+    });
+
+    Hooks.on('deleteItem', (item, options, userId) => {
+      logger.debug('Item deleted:', item.name);
+      const actor = item.parent;
+      if (actor && this.shouldSync(actor, userId)) {
+        this.handleItemUpdate(actor, item, {});
+      }
+    });
+
     Hooks.on('createActiveEffect', (effect, options, userId) => {
       console.log('Mage Hand | Effect created:', effect.name);
       const actor = effect.parent;
@@ -207,8 +318,10 @@ class MageHand {
 
   shouldSync(actor, userId) {
     if (!this.websocketHandler || !this.websocketHandler.isConnected()) return false;
-    if (userId !== game.userId) return false;
-    if (actor.type !== 'character') return false;
+    
+    // Changes made by any user (e.g. the GM applying damage) must reach the
+    // phone, so sync whenever one of our mobile clients is bound to the actor
+    if (!this.websocketHandler.isActorBound(actor.id)) return false;
     
     const isOwner = actor.testUserPermission(game.user, 'OWNER');
     return isOwner;
@@ -233,63 +346,171 @@ class MageHand {
     }
     this.sessionCode = null;
     
+    // Baselines are only meaningful for the clients of this session
+    this.syncScheduler?.cancelAll();
+    this.characterData.clear();
+    this.revisions.clear();
+    
     // Notify UI of disconnection
     if (this.ui) {
       this.ui.onConnectionStateChange('disconnected');
     }
   }
 
-  handleActorUpdate(actor, changes) {
-    console.log(`Mage Hand | Processing actor update for ${actor.name}`);
+  /**
+   * Re-extract an actor and push the changes to its mobile clients
+   * @param {Actor} actor - Actor to sync
+   * @param {Object} changes - Change data from the triggering hook
+   * @param {Array<string>|null} sections - Only recompute these sections and
+   *   patch them into the cached document; null re-extracts everything
+   */
+  handleActorUpdate(actor, changes, sections = null) {
+    logger.debug(`Processing actor update for ${actor.name}`);
+    
+    // This extraction covers anything still waiting in the batching window
+    this.syncScheduler?.cancel(actor.id);
     
     try {
-      const extractedData = this.extractor.extractCharacterData(actor);
+      const lastData = this.characterData.get(actor.id);
+      
+      let extractedData;
+      if (sections && lastData) {
+        if (sections.length === 0) {
+          logger.debug(`No synced sections affected for ${actor.name}`);
+          return;
+        }
+        const values = this.extractor.extractSections(actor, sections);
+        extractedData = values && this.extractor.patchSections(lastData, values);
+      } else {
+        extractedData = this.extractor.extractCharacterData(actor);
+      }
+      
       if (!extractedData) {
-        console.warn(`Mage Hand | Failed to extract data for ${actor.name}`);
+        logger.warn(`Failed to extract data for ${actor.name}`);
         return;
       }
       
-      const lastData = this.characterData.get(actor.id);
       this.characterData.set(actor.id, extractedData);
+      this.lastSync.set(actor.id, Date.now());
       
       if (lastData) {
         const diff = deepDiff(lastData, extractedData);
         if (diff && Object.keys(diff).length > 0) {
-          this.sendUpdate(actor.id, diff);
+          const revision = this.commitRevision(actor.id, extractedData, diff);
+          this.sendUpdate(actor.id, diff, revision);
         }
       } else {
-        this.sendFullSync(actor.id, extractedData);
+        const revision = this.commitRevision(actor.id, extractedData);
+        this.sendFullSync(actor.id, extractedData, revision);
       }
     } catch (error) {
-      console.error(`Mage Hand | Error processing actor update:`, error);
+      logger.error('Error processing actor update:', error);
     }
   }
   
-  sendUpdate(actorId, diff) {
+  sendUpdate(actorId, diff, revision) {
     if (!this.websocketHandler || !this.websocketHandler.isConnected()) return;
     
-    console.log(`Mage Hand | Sending diff update for actor ${actorId}:`, diff);
-    this.websocketHandler.sendCharacterUpdate(actorId, diff);
+    const sent = this.websocketHandler.sendActorUpdate(actorId, diff, revision);
+    logger.verbose(`Sent diff update r${revision.rev} for actor ${actorId} to ${sent} client(s):`, diff);
   }
   
-  sendFullSync(actorId, data) {
+  sendFullSync(actorId, data, revision) {
     if (!this.websocketHandler || !this.websocketHandler.isConnected()) return;
     
-    console.log(`Mage Hand | Sending full sync for actor ${actorId}`);
-    const actor = game.actors.get(actorId);
-    if (actor) {
-      this.websocketHandler.sendCharacterData(actor);
+    const sent = this.websocketHandler.sendActorData(actorId, data, revision);
+    logger.verbose(`Sent full sync r${revision.rev} for actor ${actorId} to ${sent} client(s)`);
+  }
+
+  /**
+   * Advance an actor's sync stream to a new revision
+   * Diffs are kept in a short replay history. A full snapshot (no diff)
+   * starts a new history, since older diffs no longer lead up to it.
+   * @param {string} actorId - Actor ID
+   * @param {Object} data - The new baseline document
+   * @param {Object|null} diff - Diff from the previous baseline, if any
+   * @returns {Object} Revision info {rev, baseRev, hash, hashes}
+   */
+  commitRevision(actorId, data, diff = null) {
+    const previous = this.revisions.get(actorId);
+    const rev = (previous?.rev || 0) + 1;
+    const baseRev = previous?.rev || 0;
+    const hashes = this.hashForSchemas(data);
+    const hash = hashes[data._v];
+    
+    const history = diff && previous ? previous.history : [];
+    if (diff) {
+      history.push({ rev, baseRev, hash, hashes, diff });
+      if (history.length > this.maxRevisionHistory) {
+        history.shift();
+      }
+    }
+    
+    this.revisions.set(actorId, { rev, hash, hashes, history });
+    return { rev, baseRev, hash, hashes };
+  }
+
+  /**
+   * Hash a document as each servable schema version sees it
+   * Phones on an older schema hold the migrated document, so their hashes
+   * are taken from that.
+   * @param {Object} data - Document in the current schema
+   * @returns {Object} Hashes by schema version
+   */
+  hashForSchemas(data) {
+    const hashes = {};
+    for (const version of SchemaRegistry.getServableVersions()) {
+      hashes[version] = hashDocument(version === data._v ? data : SchemaRegistry.migrate(data, version));
     }
+    return hashes;
+  }
+
+  /**
+   * Get the current revision of an actor's sync stream
+   * @param {string} actorId - Actor ID
+   * @returns {Object|null} {rev, hash, hashes} or null if the actor has no baseline
+   */
+  getActorRevision(actorId) {
+    const stream = this.revisions.get(actorId);
+    return stream ? { rev: stream.rev, hash: stream.hash, hashes: stream.hashes } : null;
+  }
+
+  /**
+   * Get the diffs that bring a client from a revision up to the current one
+   * @param {string} actorId - Actor ID
+   * @param {number} rev - Last revision the client applied
+   * @param {string} hash - Client's hash of its document at that revision (optional)
+   * @param {string} schemaVersion - Schema the client's document is in
+   * @returns {Array|null} Replayable history entries (empty if current), or
+   *   null when the gap can't be replayed and a full snapshot is needed
+   */
+  getDiffsSince(actorId, rev, hash = null, schemaVersion = SchemaRegistry.CURRENT_VERSION) {
+    const stream = this.revisions.get(actorId);
+    if (!stream || !Number.isInteger(rev) || rev > stream.rev) return null;
+    
+    // A known hash that doesn't match means the client's copy is corrupt
+    const base = rev === stream.rev ? stream : stream.history.find(e => e.rev === rev);
+    const baseHash = base?.hashes?.[schemaVersion];
+    if (hash && baseHash && hash !== baseHash) return null;
+    
+    if (rev === stream.rev) return [];
+    
+    const entries = stream.history.filter(e => e.rev > rev);
+    if (entries.length === 0 || entries[0].baseRev !== rev) return null;
+    return entries;
   }
 
   handleItemUpdate(actor, item, changes) {
     console.log(`Mage Hand | Processing item update for ${item.name} on ${actor.name}`);
-    this.handleActorUpdate(actor, changes);
+    this.syncScheduler.schedule(actor, { sections: this.extractor.getSectionsForItem(item) });
   }
 
   handleEffectChange(actor, effect, changeType) {
     console.log(`Mage Hand | Processing effect ${changeType} for ${effect.name} on ${actor.name}`);
-    this.handleActorUpdate(actor, {});
+    this.syncScheduler.schedule(actor, {
+      immediate: SyncScheduler.isCondition(effect),
+      sections: this.extractor.getSectionsForEffect(effect)
+    });
   }
 
   handleCombatChange(combat, changeType) {
@@ -298,74 +519,104 @@ class MageHand {
     if (combat && combat.combatants) {
       combat.combatants.forEach(combatant => {
         if (combatant.actor && this.shouldSync(combatant.actor, game.userId)) {
-          this.handleActorUpdate(combatant.actor, {});
+          this.syncScheduler.schedule(combatant.actor);
         }
       });
     }
   }
 
   // Public API methods for rolling
+  // Roller methods throw when a roll can't be made; the API logs the error
+  // and returns null instead
+  async callRoller(method, ...args) {
+    try {
+      return await this.roller[method](...args);
+    } catch (error) {
+      console.error(`Mage Hand | ${method} failed:`, error.message);
+      return null;
+    }
+  }
+
   async rollAbilityTest(actorNameOrId, ability, mode = 'normal') {
-    return this.roller.rollAbilityTest(actorNameOrId, ability, mode);
+    return this.callRoller('rollAbilityTest', actorNameOrId, ability, mode);
   }
 
-  async rollAbilitySave(actorNameOrId, ability, mode = 'normal') {
-    return this.roller.rollAbilitySave(actorNameOrId, ability, mode);
+  async rollAbilitySave(actorNameOrId, ability, mode = 'normal', options = {}) {
+    return this.callRoller('rollAbilitySave', actorNameOrId, ability, mode, options);
   }
 
   async rollSkillCheck(actorNameOrId, skill, mode = 'normal') {
-    return this.roller.rollSkillCheck(actorNameOrId, skill, mode);
+    return this.callRoller('rollSkillCheck', actorNameOrId, skill, mode);
   }
 
   async rollInitiative(actorNameOrId, mode = 'normal') {
-    return this.roller.rollInitiative(actorNameOrId, mode);
+    return this.callRoller('rollInitiative', actorNameOrId, mode);
   }
 
   async rollDeathSave(actorNameOrId, mode = 'normal') {
-    return this.roller.rollDeathSave(actorNameOrId, mode);
+    return this.callRoller('rollDeathSave', actorNameOrId, mode);
+  }
+
+  async useItem(actorNameOrId, itemNameOrId, mode = 'normal', options = {}) {
+    return this.callRoller('useItem', actorNameOrId, itemNameOrId, mode, options);
   }
 
-  async useItem(actorNameOrId, itemNameOrId, mode = 'normal') {
-    return this.roller.useItem(actorNameOrId, itemNameOrId, mode);
+  async useFeature(actorNameOrId, featureNameOrId, mode = 'normal', options = {}) {
+    return this.callRoller('useFeature', actorNameOrId, featureNameOrId, mode, options);
   }
 
   async rollAttack(actorNameOrId, itemNameOrId, mode = 'normal') {
-    return this.roller.rollAttack(actorNameOrId, itemNameOrId, mode);
+    return this.callRoller('rollAttack', actorNameOrId, itemNameOrId, mode);
   }
 
   async rollDamage(actorNameOrId, itemNameOrId, isCritical = false, messageId = null) {
-    return this.roller.rollDamage(actorNameOrId, itemNameOrId, isCritical, messageId);
+    return this.callRoller('rollDamage', actorNameOrId, itemNameOrId, isCritical, messageId);
   }
 
   async clickChatButton(messageId, action) {
     return this.roller.clickChatButton(messageId, action);
   }
 
+  // Chat card follow-ups without the DOM, see BaseRoller.followUp
+  async followUp(messageId, action, options = {}) {
+    return this.callRoller('followUp', messageId, action, options);
+  }
+
+  // Rests without the dialog, see BaseRoller.rest
+  async rest(actorNameOrId, type, options = {}) {
+    return this.callRoller('rest', actorNameOrId, type, options);
+  }
+
+  // GM roll requests to the phones, see RollRequestManager.requestGroupRoll
+  requestGroupRoll(options) {
+    return this.rollRequests.requestGroupRoll(options);
+  }
+
   // Dedicated spell casting methods
-  async castSpellAttack(actorNameOrId, spellNameOrId, mode = 'normal') {
-    return this.roller.castSpellAttack(actorNameOrId, spellNameOrId, mode);
+  async castSpellAttack(actorNameOrId, spellNameOrId, mode = 'normal', options = {}) {
+    return this.callRoller('castSpellAttack', actorNameOrId, spellNameOrId, mode, options);
   }
 
   async castSpellDamage(actorNameOrId, spellNameOrId, isCritical = false, messageId = null) {
-    return this.roller.castSpellDamage(actorNameOrId, spellNameOrId, isCritical, messageId);
+    return this.callRoller('castSpellDamage', actorNameOrId, spellNameOrId, isCritical, messageId);
   }
 
   // Dedicated weapon attack methods
-  async weaponAttack(actorNameOrId, weaponNameOrId, mode = 'normal') {
-    return this.roller.weaponAttack(actorNameOrId, weaponNameOrId, mode);
+  async weaponAttack(actorNameOrId, weaponNameOrId, mode = 'normal', options = {}) {
+    return this.callRoller('weaponAttack', actorNameOrId, weaponNameOrId, mode, options);
   }
 
   async weaponDamage(actorNameOrId, weaponNameOrId, isCritical = false, messageId = null) {
-    return this.roller.weaponDamage(actorNameOrId, weaponNameOrId, isCritical, messageId);
+    return this.callRoller('weaponDamage', actorNameOrId, weaponNameOrId, isCritical, messageId);
   }
 
   // Dedicated generic item methods (for items that aren't weapons/spells)
-  async itemAttack(actorNameOrId, itemNameOrId, mode = 'normal') {
-    return this.roller.itemAttack(actorNameOrId, itemNameOrId, mode);
+  async itemAttack(actorNameOrId, itemNameOrId, mode = 'normal', options = {}) {
+    return this.callRoller('itemAttack', actorNameOrId, itemNameOrId, mode, options);
   }
 
   async itemDamage(actorNameOrId, itemNameOrId, isCritical = false, messageId = null) {
-    return this.roller.itemDamage(actorNameOrId, itemNameOrId, isCritical, messageId);
+    return this.callRoller('itemDamage', actorNameOrId, itemNameOrId, isCritical, messageId);
   }
 
   // Public API method for character extraction
@@ -398,129 +649,486 @@ class MageHand {
   // Mobile Request Handlers
   // ============================================================================
 
+  /**
+   * Run a PLAY request and report the outcome to the phone
+   * The result or error is sent as PLAY:ROLL:RESULT; errors are then rethrown
+   * as a PlayError so the request envelope can answer PLAY:FAILED.
+   * @param {Object} message - The PLAY message
+   * @param {string} label - Request description for logs and errors
+   * @param {Function} perform - async (actor) => roller result; throws or
+   *   returns null on failure
+   * @param {Object} options - { requireActor: false } for requests without an actor
+   * @returns {Promise<Object>} The roller result
+   */
+  async runPlayRequest(message, label, perform, { requireActor = true } = {}) {
+    try {
+      const actor = message.actorId ? game.actors.get(message.actorId) : null;
+      if (requireActor && !actor) {
+        throw new PlayError(ErrorCode.ACTOR_NOT_FOUND, `Actor not found for ${label.toLowerCase()}: ${message.actorId}`);
+      }
+      
+      const result = await perform(actor);
+      if (!result) {
+        throw new PlayError(ErrorCode.ROLL_FAILED, `${label} failed`);
+      }
+      
+      this.websocketHandler.sendRollResult(message, { result: this.formatRollResult(result) });
+      return result;
+    } catch (error) {
+      console.error(`Mage Hand | ${label} error:`, error);
+      const playError = PlayError.from(error, ErrorCode.ROLL_FAILED);
+      this.websocketHandler.sendRollResult(message, { error: playError });
+      throw playError;
+    }
+  }
+
+  /**
+   * Roll for a PLAY request and answer the GM's group roll it belongs to,
+   * if any, whether or not the roll succeeds
+   * @param {Object} message - The PLAY message, with an optional rollRequestId
+   * @param {Actor} actor - The rolling actor
+   * @param {Function} roll - async () => roller result
+   * @returns {Promise<Object>} The roller result
+   */
+  async rollForRequest(message, actor, roll) {
+    let result = null;
+    try {
+      result = await roll();
+      return result;
+    } finally {
+      this.rollRequests.recordResult(message, actor, result);
+    }
+  }
+
+  /**
+   * Flatten a roller result for PLAY:ROLL:RESULT
+   * Item use resolves to { messageId, buttons, roll }; everything else is a
+   * parsed roll, possibly with a messageId and buttons of its own.
+   */
+  formatRollResult(result) {
+    if (result === true) return {};
+    
+    const { roll, ...rest } = result;
+    const formatted = roll ? { ...roll, ...rest } : { ...rest };
+    
+    // dnd5e keeps weapon properties in a Set, which doesn't survive JSON
+    if (formatted.properties instanceof Set) {
+      formatted.properties = Array.from(formatted.properties);
+    }
+    
+    return formatted;
+  }
+
+  getActorItem(actor, itemId) {
+    const item = actor.items.get(itemId) || actor.items.find(i => i.name === itemId);
+    if (!item) {
+      throw new PlayError(ErrorCode.ITEM_NOT_FOUND, `Item not found on ${actor.name}: ${itemId}`);
+    }
+    return item;
+  }
+
+  /**
+   * Token IDs the phone wants targeted, from targetIds or a single targetId
+   * Undefined when the request names no targets, so current targets are kept.
+   */
+  getTargetIds(message) {
+    if (Array.isArray(message.targetIds)) return message.targetIds;
+    if (message.targetId) return [message.targetId];
+    return undefined;
+  }
+
+  /**
+   * Consumption choices from a PLAY request
+   * Sample: { consume: { spellSlot: false, resources: true }, ammunitionId: 'item2' }
+   * Anything the phone leaves out keeps the system default.
+   */
+  getConsumeOptions(actor, message) {
+    const options = {};
+    const consume = message.consume || {};
+    
+    if (typeof consume.spellSlot === 'boolean') options.consumeSpellSlot = consume.spellSlot;
+    if (typeof consume.resources === 'boolean') options.consumeResources = consume.resources;
+    
+    if (message.ammunitionId) {
+      const ammunition = this.getActorItem(actor, message.ammunitionId);
+      if (ammunition.type !== 'consumable' || ammunition.system.type?.value !== 'ammo') {
+        throw new PlayError(ErrorCode.INVALID_REQUEST, `${ammunition.name} is not ammunition`);
+      }
+      options.ammunitionId = ammunition.id;
+    }
+    
+    return options;
+  }
+
+  /**
+   * Activity chosen on the phone, checked against the item (D&D5e v4+ only)
+   * @param {Item} item - The item
+   * @param {string} activityId - Requested activity ID (optional)
+   * @param {string} type - Required activity type (optional)
+   * @returns {string|undefined} The activity ID to pass to the roller
+   */
+  getActivityId(item, activityId, type = null) {
+    if (!activityId) return undefined;
+    
+    const activities = item.system.activities;
+    if (!activities) {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, 'Activities require D&D5e 4.0 or later');
+    }
+    
+    const activity = activities.get(activityId);
+    if (!activity) {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, `${item.name} has no activity ${activityId}`);
+    }
+    if (type && activity.type !== type) {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, `${activity.name} on ${item.name} is not an ${type} activity`);
+    }
+    
+    return activityId;
+  }
+
+  /**
+   * Check a requested slot level against the spell, cantrips only accept 0
+   * A pact slot must be available and at least the spell's level.
+   */
+  validateSpellLevel(actor, spell, level, pact = false) {
+    if (pact) {
+      const pactSlots = actor.system.spells?.pact;
+      if (!pactSlots?.max || (pactSlots.level ?? 0) < (spell.system.level ?? 0)) {
+        throw new PlayError(ErrorCode.INVALID_REQUEST, `${actor.name} has no pact slot for ${spell.name}`);
+      }
+      return;
+    }
+    
+    if (level === undefined || level === null) return;
+    
+    const baseLevel = spell.system.level ?? 0;
+    const maxLevel = baseLevel === 0 ? 0 : 9;
+    if (!Number.isInteger(level) || level < baseLevel || level > maxLevel) {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, `${spell.name} cannot be cast at level ${level}`);
+    }
+  }
+
+  /**
+   * Check the hit dice a phone wants to spend against what the actor has left
+   * Sample: { d8: 2, d10: 1 }
+   */
+  validateHitDice(actor, hitDice) {
+    if (hitDice === undefined || hitDice === null) return {};
+    if (typeof hitDice !== 'object' || Array.isArray(hitDice)) {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, 'hitDice must map die sizes to counts');
+    }
+    
+    const available = this.extractor.getHitDice(actor);
+    for (const [denomination, count] of Object.entries(hitDice)) {
+      if (!Number.isInteger(count) || count < 0) {
+        throw new PlayError(ErrorCode.INVALID_REQUEST, `Invalid number of ${denomination} hit dice: ${count}`);
+      }
+      if (count > (available[denomination]?.value ?? 0)) {
+        throw new PlayError(ErrorCode.INVALID_REQUEST, `${actor.name} doesn't have ${count} ${denomination} hit dice left`);
+      }
+    }
+    
+    return hitDice;
+  }
+
+  validateAbility(ability) {
+    const validAbilities = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+    if (!validAbilities.includes(ability)) {
+      throw new PlayError(ErrorCode.INVALID_REQUEST, `Invalid ability: ${ability}`);
+    }
+  }
+
   async handleRollRequest(message) {
     console.log('Mage Hand | Handling custom roll:', message.formula, message.label);
-    try {
+    return this.runPlayRequest(message, 'Custom roll', async actor => {
+      if (!message.formula || !Roll.validate(message.formula)) {
+        throw new PlayError(ErrorCode.INVALID_REQUEST, `Invalid roll formula: ${message.formula}`);
+      }
+      
       // Custom roll with formula
       const roll = new Roll(message.formula);
-      await roll.toMessage({
-        speaker: ChatMessage.getSpeaker(),
+      const chatMessage = await roll.toMessage({
+        speaker: actor ? ChatMessage.getSpeaker({ actor }) : ChatMessage.getSpeaker(),
         flavor: message.label || 'Custom Roll'
       });
-    } catch (error) {
-      console.error('Mage Hand | Roll error:', error);
-    }
+      
+      return { ...RollParser.parseRoll(roll, 'custom'), messageId: chatMessage?.id };
+    }, { requireActor: false });
   }
 
   async handleItemUse(message) {
     console.log('Mage Hand | Handling item use:', message.itemId, 'targets:', message.targetIds);
-    try {
-      // Get the actor from the message connection
-      const actor = game.actors.get(message.actorId);
-      if (!actor) {
-        console.error('Mage Hand | Actor not found for item use');
-        return;
-      }
+    return this.runPlayRequest(message, 'Item use', async actor => {
+      const item = this.getActorItem(actor, message.itemId);
       
       // Use the roller to handle item use
-      await this.roller.useItem(actor.id, message.itemId, 'normal');
-    } catch (error) {
-      console.error('Mage Hand | Item use error:', error);
-    }
+      return this.roller.useItem(actor.id, item.id, message.mode || 'normal', {
+        ...this.getConsumeOptions(actor, message),
+        activityId: this.getActivityId(item, message.activityId),
+        targetIds: this.getTargetIds(message)
+      });
+    });
   }
 
-  async handleAbilityCheck(message) {
-    console.log('Mage Hand | Handling ability check:', message.ability);
-    try {
-      const actor = game.actors.get(message.actorId);
-      if (!actor) {
-        console.error('Mage Hand | Actor not found for ability check');
-        return;
+  /**
+   * Use a class feature, feat or other feature from the phone
+   * Sample: { type: 'PLAY:USE:FEATURE', actorId, featureId, activityId, consume: { resources: true } }
+   * A feature with no uses left is refused unless the phone skips consumption.
+   */
+  async handleFeatureUse(message) {
+    console.log('Mage Hand | Handling feature use:', message.featureId, 'targets:', message.targetIds);
+    return this.runPlayRequest(message, 'Feature use', async actor => {
+      const feature = this.getActorItem(actor, message.featureId);
+      if (feature.type !== 'feat') {
+        throw new PlayError(ErrorCode.INVALID_REQUEST, `${feature.name} is not a feature`);
       }
       
-      // Validate ability
-      const validAbilities = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
-      if (!validAbilities.includes(message.ability)) {
-        console.error('Mage Hand | Invalid ability:', message.ability);
-        return;
+      const options = this.getConsumeOptions(actor, message);
+      const uses = feature.system.uses;
+      if (parseInt(uses?.max) > 0 && !(uses.value > 0) && options.consumeResources !== false) {
+        throw new PlayError(ErrorCode.INVALID_REQUEST, `${feature.name} has no uses left`);
+      }
+      
+      return this.roller.useFeature(actor.id, feature.id, message.mode || 'normal', {
+        ...options,
+        activityId: this.getActivityId(feature, message.activityId),
+        targetIds: this.getTargetIds(message)
+      });
+    });
+  }
+
+  /**
+   * Follow up on an item card: attack, damage, save or template
+   * Sample: { type: 'PLAY:USE:FOLLOWUP', actorId, messageId, action: 'damage', isCritical: true }
+   * Saves can answer any card (e.g. the GM's Fireball) and are rolled for the
+   * bound actor; the other actions need a card the bound actor created.
+   */
+  async handleItemFollowUp(message) {
+    console.log('Mage Hand | Handling follow-up:', message.action, 'on message', message.messageId);
+    return this.runPlayRequest(message, 'Follow-up', async actor => {
+      const action = this.roller.constructor.FOLLOW_UP_ACTIONS[message.action];
+      if (!action) {
+        throw new PlayError(ErrorCode.INVALID_REQUEST, `Invalid follow-up action: ${message.action}`);
       }
       
+      const chatMessage = game.messages.get(message.messageId);
+      if (!chatMessage) {
+        throw new PlayError(ErrorCode.INVALID_REQUEST, `Message not found: ${message.messageId}`);
+      }
+      if (action !== 'save' && ChatMessage.getSpeakerActor(chatMessage.speaker)?.id !== actor.id) {
+        throw new PlayError(ErrorCode.PERMISSION_DENIED, `Message ${message.messageId} was not made by ${actor.name}`);
+      }
+      
+      return this.roller.followUp(chatMessage.id, message.action, {
+        mode: message.mode || 'normal',
+        isCritical: message.isCritical === true,
+        ability: message.ability,
+        actorIds: [actor.id],
+        targetIds: this.getTargetIds(message),
+        position: Number.isFinite(message.x) && Number.isFinite(message.y) ? { x: message.x, y: message.y } : undefined
+      });
+    });
+  }
+
+  async handleAbilityCheck(message) {
+    console.log('Mage Hand | Handling ability check:', message.ability);
+    return this.runPlayRequest(message, 'Ability check', async actor => {
+      this.validateAbility(message.ability);
+      
       // Roll ability test
-      await this.roller.rollAbilityTest(actor.id, message.ability, message.mode || 'normal');
-    } catch (error) {
-      console.error('Mage Hand | Ability check error:', error);
-    }
+      return this.rollForRequest(message, actor, () => this.roller.rollAbilityTest(actor.id, message.ability, message.mode || 'normal'));
+    });
   }
 
   async handleAbilitySave(message) {
     console.log('Mage Hand | Handling ability save:', message.ability);
-    try {
-      const actor = game.actors.get(message.actorId);
-      if (!actor) {
-        console.error('Mage Hand | Actor not found for ability save');
-        return;
-      }
+    return this.runPlayRequest(message, 'Ability save', async actor => {
+      this.validateAbility(message.ability);
       
-      // Validate ability
-      const validAbilities = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
-      if (!validAbilities.includes(message.ability)) {
-        console.error('Mage Hand | Invalid ability:', message.ability);
-        return;
+      // Roll ability save
+      return this.rollForRequest(message, actor, () => this.roller.rollAbilitySave(actor.id, message.ability, message.mode || 'normal'));
+    });
+  }
+
+  /**
+   * Concentration save, usually answering PLAY:CONCENTRATION:CHECK
+   * Sample: { type: 'PLAY:SAVE:CONCENTRATION', actorId, mode: 'normal', dc: 11 }
+   * The DC is the one of the last check sent for the actor; the phone's DC
+   * is only used when no check is pending, then 10.
+   */
+  async handleConcentrationSave(message) {
+    console.log('Mage Hand | Handling concentration save, DC', message.dc);
+    return this.runPlayRequest(message, 'Concentration save', async actor => {
+      if (!this.concentration.isConcentrating(actor)) {
+        throw new PlayError(ErrorCode.INVALID_REQUEST, `${actor.name} is not concentrating`);
+      }
+      if (message.dc !== undefined && !Number.isInteger(message.dc)) {
+        throw new PlayError(ErrorCode.INVALID_REQUEST, `Invalid DC: ${message.dc}`);
       }
       
-      // Roll ability save
-      await this.roller.rollAbilitySave(actor.id, message.ability, message.mode || 'normal');
-    } catch (error) {
-      console.error('Mage Hand | Ability save error:', error);
-    }
+      const check = this.concentration.consume(actor.id);
+      const dc = check?.dc ?? message.dc ?? 10;
+      const ability = actor.system.attributes.concentration?.ability || 'con';
+      
+      const result = await this.roller.rollAbilitySave(actor.id, ability, message.mode || 'normal', {
+        concentration: true,
+        dc
+      });
+      if (!result) return null;
+      
+      return { ...result, dc, success: result.total >= dc };
+    });
   }
 
   async handleSkillCheck(message) {
     console.log('Mage Hand | Handling skill check:', message.skill);
-    try {
-      const actor = game.actors.get(message.actorId);
-      if (!actor) {
-        console.error('Mage Hand | Actor not found for skill check');
-        return;
+    return this.runPlayRequest(message, 'Skill check', async actor => {
+      if (!CONFIG.DND5E.skills[message.skill]) {
+        throw new PlayError(ErrorCode.INVALID_REQUEST, `Invalid skill: ${message.skill}`);
       }
       
       // Roll skill check
-      await this.roller.rollSkillCheck(actor.id, message.skill, message.mode || 'normal');
-    } catch (error) {
-      console.error('Mage Hand | Skill check error:', error);
-    }
+      return this.rollForRequest(message, actor, () => this.roller.rollSkillCheck(actor.id, message.skill, message.mode || 'normal'));
+    });
   }
 
-  async handleWeaponAttack(message) {
-    console.log('Mage Hand | Handling weapon attack:', message.weaponId, 'vs', message.targetId);
-    try {
-      const actor = game.actors.get(message.actorId);
-      if (!actor) {
-        console.error('Mage Hand | Actor not found for weapon attack');
-        return;
+  async handleInitiativeRoll(message) {
+    console.log('Mage Hand | Handling initiative roll');
+    return this.runPlayRequest(message, 'Initiative roll', async actor => {
+      // Roll initiative
+      return this.rollForRequest(message, actor, () => this.roller.rollInitiative(actor.id, message.mode || 'normal'));
+    });
+  }
+
+  /**
+   * Death save from the phone, only while the character is dying
+   * Sample: { type: 'PLAY:ROLL:DEATH', actorId, mode: 'normal' }
+   * The result has the tally after the roll and the state it left the
+   * character in; PLAY:DEATH:* events follow from the actor update.
+   */
+  async handleDeathSave(message) {
+    console.log('Mage Hand | Handling death save');
+    return this.runPlayRequest(message, 'Death save', async actor => {
+      const state = this.deathSaves.getDeathState(actor, this.deathSaves.states.get(actor.id));
+      if (state !== 'dying') {
+        throw new PlayError(ErrorCode.INVALID_REQUEST, `${actor.name} is not dying (${state ?? 'no death saves'})`);
       }
       
+      const result = await this.roller.rollDeathSave(actor.id, message.mode || 'normal');
+      if (!result) return null;
+      
+      const death = actor.system.attributes.death;
+      return {
+        ...result,
+        deathSaves: { success: death.success || 0, failure: death.failure || 0 },
+        state: this.deathSaves.getDeathState(actor, this.deathSaves.states.get(actor.id))
+      };
+    });
+  }
+
+  async handleWeaponAttack(message) {
+    console.log('Mage Hand | Handling weapon attack:', message.weaponId, 'vs', this.getTargetIds(message));
+    return this.runPlayRequest(message, 'Weapon attack', async actor => {
+      const weapon = this.getActorItem(actor, message.weaponId);
+      
       // Roll weapon attack
-      await this.roller.weaponAttack(actor.id, message.weaponId, 'normal');
-    } catch (error) {
-      console.error('Mage Hand | Weapon attack error:', error);
-    }
+      return this.roller.weaponAttack(actor.id, weapon.id, message.mode || 'normal', {
+        ...this.getConsumeOptions(actor, message),
+        activityId: this.getActivityId(weapon, message.activityId, 'attack'),
+        targetIds: this.getTargetIds(message)
+      });
+    });
   }
 
   async handleSpellCast(message) {
     console.log('Mage Hand | Handling spell cast:', message.spellId, 'level', message.level, 'targets:', message.targetIds);
-    try {
-      const actor = game.actors.get(message.actorId);
-      if (!actor) {
-        console.error('Mage Hand | Actor not found for spell cast');
-        return;
-      }
+    return this.runPlayRequest(message, 'Spell cast', async actor => {
+      const spell = this.getActorItem(actor, message.spellId);
+      this.validateSpellLevel(actor, spell, message.level, message.pact === true);
       
       // Cast spell (useItem handles spells too)
-      await this.roller.useItem(actor.id, message.spellId, 'normal');
-    } catch (error) {
-      console.error('Mage Hand | Spell cast error:', error);
-    }
+      return this.roller.useItem(actor.id, spell.id, message.mode || 'normal', {
+        ...this.getConsumeOptions(actor, message),
+        activityId: this.getActivityId(spell, message.activityId),
+        spellLevel: message.level,
+        pact: message.pact === true,
+        targetIds: this.getTargetIds(message)
+      });
+    });
+  }
+
+  /**
+   * Short or long rest from the phone
+   * Sample: { type: 'PLAY:REST:SHORT', actorId, hitDice: { d8: 2 } }
+   * The result lists the hit dice rolled and what the rest recovered; the
+   * actor is synced right away so the phone has the new state with it.
+   */
+  async handleRest(message, type) {
+    console.log(`Mage Hand | Handling ${type} rest, hit dice:`, message.hitDice);
+    return this.runPlayRequest(message, 'Rest', async actor => {
+      const hitDice = this.validateHitDice(actor, message.hitDice);
+      if (type === 'long' && Object.keys(hitDice).length > 0) {
+        throw new PlayError(ErrorCode.INVALID_REQUEST, 'Hit dice can only be spent on a short rest');
+      }
+      
+      const result = await this.roller.rest(actor.id, type, {
+        hitDice,
+        newDay: typeof message.newDay === 'boolean' ? message.newDay : undefined
+      });
+      
+      if (result && this.shouldSync(actor, game.userId)) {
+        this.handleActorUpdate(actor, {});
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Damage, healing, temp HP or a max HP override from the phone
+   * Sample: { type: 'PLAY:HP:APPLY', actorId, kind: 'damage', amount: 7, damageType: 'fire' }
+   * The result has the HP before and after; with GM approval on, a rejected
+   * or unanswered change fails with APPROVAL_DENIED.
+   */
+  async handleApplyHP(message) {
+    console.log('Mage Hand | Handling HP change:', message.kind, message.amount, message.damageType);
+    return this.runPlayRequest(message, 'HP change', async actor => {
+      const change = this.hpChanges.parseChange(message, actor);
+      return this.hpChanges.apply(actor, change);
+    });
+  }
+
+  /**
+   * Turn a status condition on or off
+   * Sample: { type: 'PLAY:CONDITION:TOGGLE', actorId, statusId: 'prone', active: true }
+   * Without active the condition is toggled.
+   */
+  async handleConditionToggle(message) {
+    console.log('Mage Hand | Handling condition toggle:', message.statusId, message.active);
+    return this.runPlayRequest(message, 'Condition toggle', async actor => {
+      return this.conditions.toggleCondition(actor, message.statusId, message.active);
+    });
+  }
+
+  /**
+   * Sample: { type: 'PLAY:EXHAUSTION:SET', actorId, level: 2 }
+   */
+  async handleExhaustion(message) {
+    console.log('Mage Hand | Handling exhaustion:', message.level);
+    return this.runPlayRequest(message, 'Exhaustion', async actor => {
+      return this.conditions.setExhaustion(actor, message.level);
+    });
+  }
+
+  /**
+   * Enable or disable one of the actor's own effects
+   * Sample: { type: 'PLAY:EFFECT:TOGGLE', actorId, effectId: 'effect1', disabled: false }
+   * Without disabled the effect is toggled.
+   */
+  async handleEffectToggle(message) {
+    console.log('Mage Hand | Handling effect toggle:', message.effectId, message.disabled);
+    return this.runPlayRequest(message, 'Effect toggle', async actor => {
+      return this.conditions.setEffectDisabled(actor, message.effectId, message.disabled);
+    });
   }
 }
 
@@ -546,6 +1154,7 @@ Hooks.once('ready', async () => {
   console.log('  Roll initiative: mageHand.rollInitiative("Character Name", "advantage")');
   console.log('  Roll death save: mageHand.rollDeathSave("Character Name", "normal")');
   console.log('  Use item: mageHand.useItem("Character Name", "Longsword", "advantage")');
+  console.log('  Use feature: mageHand.useFeature("Character Name", "Second Wind")');
   console.log('  Generic attack: mageHand.rollAttack("Character Name", "Longsword", "advantage")');
   console.log('  Generic damage: mageHand.rollDamage("Character Name", "Longsword", true)');
   console.log('  Weapon attack: mageHand.weaponAttack("Character Name", "Longsword", "advantage")');
@@ -555,8 +1164,12 @@ Hooks.once('ready', async () => {
   console.log('  Item attack: mageHand.itemAttack("Character Name", "Wand of Magic Missiles", "normal")');
   console.log('  Item damage: mageHand.itemDamage("Character Name", "Wand of Magic Missiles", false)');
   console.log('  Click chat button: mageHand.clickChatButton("messageId", "attack")');
+  console.log('  Card follow-up: mageHand.followUp("messageId", "damage", { isCritical: true })');
+  console.log('  Short rest: mageHand.rest("Character Name", "short", { hitDice: { d8: 2 } })');
   console.log('  Modes: "normal", "advantage", "disadvantage"');
   console.log('  Kill tracking: mageHand.killTracker.getRecentKills()');
   console.log('  Kill stats: mageHand.killTracker.getKillStats()');
   console.log('  Clear kills: mageHand.killTracker.clear()');
+  console.log('  Sync metrics: mageHand.syncScheduler.getMetrics()');
+  console.log('  Group roll (GM): mageHand.requestGroupRoll({ type: "skill", skill: "prc", dc: 15 })');
 });
\ No newline at end of file
@@ -0,0 +1,371 @@
+/**
+ * Roll Requests for Mage Hand Module
+ * Lets the GM ask bound phones for initiative, ability, save or skill rolls
+ * and collects the answers into a group-check summary chat card
+ */
+
+import { logger } from './utils/logger.js';
+
+export class RollRequestManager {
+  // The PLAY message that answers each type of request
+  static ANSWER_TYPES = {
+    init: 'PLAY:ROLL:INIT',
+    ability: 'PLAY:CHECK:ABILITY',
+    save: 'PLAY:SAVE:ABILITY',
+    skill: 'PLAY:CHECK:SKILL'
+  };
+
+  constructor(mageHand) {
+    // Store reference to the module (websocket handler, settings)
+    this.mageHand = mageHand;
+    
+    // Each user runs their own relay session, so requests and results travel
+    // between Foundry clients over the module socket
+    this.socketName = `module.${mageHand.moduleId}`;
+    
+    // Group rolls started by this user, by rollRequestId
+    this.groups = new Map();
+    
+    // Requests forwarded to our phones, by rollRequestId:
+    // { request, requesterId, answered: Set of actor IDs }
+    this.forwarded = new Map();
+    
+    this.defaultTimeout = 60000;
+    
+    this.log = logger.child('RollRequests');
+    this.log.verbose('Roll request manager initialized');
+  }
+
+  /**
+   * Register the module socket listener
+   */
+  init() {
+    game.socket.on(this.socketName, this.onSocketMessage.bind(this));
+    this.log.verbose('Roll request socket registered');
+  }
+
+  /**
+   * Ask the bound phones for a roll and collect the results
+   * @param {Object} options
+   * @param {string} options.type - 'init', 'ability', 'save' or 'skill'
+   * @param {string} options.ability - Ability key for ability checks and saves
+   * @param {string} options.skill - Skill key for skill checks
+   * @param {number} options.dc - Difficulty class used for pass/fail (optional)
+   * @param {boolean} options.revealDc - Show the DC on the phones (default false)
+   * @param {Array<string>} options.actorIds - Only ask these actors (default all bound)
+   * @param {string} options.label - Prompt and chat card title (optional)
+   * @param {number} options.timeout - How long to wait for answers in ms
+   * @returns {string|null} The rollRequestId, or null if the request is invalid
+   */
+  requestGroupRoll({ type, ability, skill, dc, revealDc = false, actorIds, label, timeout = this.defaultTimeout } = {}) {
+    if (!game.user.isGM) {
+      ui.notifications.warn('Only the GM can request rolls from players');
+      return null;
+    }
+    
+    if (!['init', 'ability', 'save', 'skill'].includes(type)) {
+      this.log.error('Invalid roll request type:', type);
+      return null;
+    }
+    if ((type === 'ability' || type === 'save') && !CONFIG.DND5E.abilities[ability]) {
+      this.log.error('Invalid ability for roll request:', ability);
+      return null;
+    }
+    if (type === 'skill' && !CONFIG.DND5E.skills[skill]) {
+      this.log.error('Invalid skill for roll request:', skill);
+      return null;
+    }
+    
+    const request = {
+      rollRequestId: foundry.utils.randomID(),
+      type,
+      ability: type === 'ability' || type === 'save' ? ability : undefined,
+      skill: type === 'skill' ? skill : undefined,
+      dc: Number.isFinite(dc) ? dc : undefined,
+      revealDc,
+      actorIds: actorIds?.length ? actorIds : undefined,
+      label: label || this.getRollLabel(type, ability, skill)
+    };
+    
+    const group = {
+      request,
+      entries: new Map(),
+      timer: setTimeout(() => this.finalize(request.rollRequestId), timeout)
+    };
+    this.groups.set(request.rollRequestId, group);
+    
+    // Socket messages are not echoed back, so forward to our own phones too
+    this.addParticipants(request.rollRequestId, this.forwardRequest(request, game.user.id));
+    game.socket.emit(this.socketName, {
+      action: 'rollRequest',
+      request,
+      requesterId: game.user.id
+    });
+    
+    this.log.info(`Requested ${request.label} (${request.rollRequestId})`);
+    return request.rollRequestId;
+  }
+
+  /**
+   * Handle a module socket message from another Foundry client
+   * Payloads can be emitted by any client, so who is asking and who is
+   * answering comes from the socket's sender ID rather than the payload.
+   * @param {Object} data - Message payload
+   * @param {string} senderId - ID of the user whose client emitted it
+   */
+  onSocketMessage(data, senderId) {
+    switch (data?.action) {
+      case 'rollRequest':
+        if (game.users.get(senderId)?.isGM) {
+          this.onRollRequest(data.request, senderId);
+        } else {
+          this.log.warn(`Ignored roll request from non-GM user ${senderId}`);
+        }
+        break;
+      case 'rollRequestSent':
+        this.addParticipants(data.rollRequestId, data.actors, senderId);
+        break;
+      case 'rollRequestResult':
+        if (data.requesterId === game.user.id) {
+          this.addResult(data.rollRequestId, data.actorId, data.result, senderId);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Forward a GM's request to our phones and report who was asked
+   */
+  onRollRequest(request, requesterId) {
+    const actors = this.forwardRequest(request, requesterId);
+    if (actors.length === 0) return;
+    
+    game.socket.emit(this.socketName, {
+      action: 'rollRequestSent',
+      rollRequestId: request.rollRequestId,
+      actors
+    });
+  }
+
+  /**
+   * Send a request to the phones connected through this client
+   * @returns {Array<Object>} The actors asked, as {id, name}
+   */
+  forwardRequest(request, requesterId) {
+    const handler = this.mageHand.websocketHandler;
+    if (!handler || !handler.isConnected()) return [];
+    
+    const actorIds = handler.sendRollRequest(request);
+    if (actorIds.length === 0) return [];
+    
+    this.forwarded.set(request.rollRequestId, { request, requesterId, answered: new Set() });
+    setTimeout(() => this.forwarded.delete(request.rollRequestId), this.defaultTimeout * 2);
+    
+    return actorIds.map(id => ({ id, name: game.actors.get(id)?.name || id }));
+  }
+
+  /**
+   * Record a phone's answer to a roll request
+   * Called by the PLAY roll handlers once the roller has the result. Only
+   * the first roll of the requested kind counts for each actor.
+   * @param {Object} message - The PLAY message, with the rollRequestId from
+   *   the PLAY:REQ:* message
+   * @param {Actor} actor - Actor that rolled
+   * @param {Object|null} result - Parsed roll result, null if the roll failed
+   */
+  recordResult(message, actor, result) {
+    const { rollRequestId } = message;
+    if (!rollRequestId) return;
+    
+    const group = this.groups.get(rollRequestId);
+    const forwarded = this.forwarded.get(rollRequestId);
+    const request = group?.request ?? forwarded?.request;
+    if (!request) {
+      this.log.debug(`Result for unknown or expired roll request ${rollRequestId}`);
+      return;
+    }
+    
+    if (!this.isAnswer(request, message)) {
+      this.log.warn(`${message.type} from ${actor.name} does not answer ${request.label}`);
+      return;
+    }
+    
+    if (group) {
+      this.addResult(rollRequestId, actor.id, result);
+      return;
+    }
+    
+    if (forwarded.answered.has(actor.id)) {
+      this.log.warn(`${actor.name} already answered ${request.label}`);
+      return;
+    }
+    forwarded.answered.add(actor.id);
+    
+    game.socket.emit(this.socketName, {
+      action: 'rollRequestResult',
+      rollRequestId,
+      requesterId: forwarded.requesterId,
+      actorId: actor.id,
+      result: result ? { total: result.total, formula: result.formula, critical: result.critical } : null
+    });
+  }
+
+  /**
+   * Whether a PLAY roll is the one a request asked for: the same type of
+   * roll, save or not, with the same ability or skill
+   */
+  isAnswer(request, message) {
+    if (message.type !== RollRequestManager.ANSWER_TYPES[request.type]) return false;
+    if (message.save !== undefined && Boolean(message.save) !== (request.type === 'save')) return false;
+    if (request.ability !== undefined && message.ability !== request.ability) return false;
+    if (request.skill !== undefined && message.skill !== request.skill) return false;
+    return true;
+  }
+
+  /**
+   * Add the actors a client forwarded the request to
+   * Each actor is answered for by the client that reported it, and only if
+   * that client's user owns it.
+   * @param {string} rollRequestId - Group roll ID
+   * @param {Array<Object>} actors - Actors asked, as {id, name}
+   * @param {string} userId - User whose client forwarded the request
+   */
+  addParticipants(rollRequestId, actors, userId = game.user.id) {
+    const group = this.groups.get(rollRequestId);
+    if (!group || !Array.isArray(actors)) return;
+    
+    const user = game.users.get(userId);
+    for (const actor of actors) {
+      if (group.entries.has(actor?.id)) continue;
+      if (!user || !game.actors.get(actor.id)?.testUserPermission(user, 'OWNER')) {
+        this.log.warn(`Ignored participant ${actor?.id} reported by ${user?.name || userId}`);
+        continue;
+      }
+      
+      group.entries.set(actor.id, { actorId: actor.id, name: game.actors.get(actor.id).name, total: null, userId });
+    }
+  }
+
+  addResult(rollRequestId, actorId, result, userId = game.user.id) {
+    const group = this.groups.get(rollRequestId);
+    if (!group) return;
+    
+    // Only the client that forwarded the request to this actor can answer
+    if (group.entries.get(actorId)?.userId !== userId) {
+      this.log.warn(`Ignored result for ${actorId} from user ${userId}`);
+      return;
+    }
+    if (group.entries.get(actorId).answered) {
+      this.log.warn(`Ignored another result for ${actorId}`);
+      return;
+    }
+    
+    const entry = group.entries.get(actorId);
+    entry.total = result?.total ?? null;
+    entry.formula = result?.formula;
+    entry.failed = !result;
+    entry.answered = true;
+    group.entries.set(actorId, entry);
+    
+    this.log.verbose(`${entry.name} answered ${group.request.label}: ${entry.total}`);
+    
+    if (Array.from(group.entries.values()).every(e => e.answered)) {
+      this.finalize(rollRequestId);
+    }
+  }
+
+  /**
+   * Close a group roll and post the summary chat card
+   */
+  async finalize(rollRequestId) {
+    const group = this.groups.get(rollRequestId);
+    if (!group) return;
+    
+    clearTimeout(group.timer);
+    this.groups.delete(rollRequestId);
+    
+    const { request } = group;
+    const hasDc = request.dc !== undefined;
+    const results = Array.from(group.entries.values())
+      .map(entry => ({
+        ...entry,
+        passed: hasDc && entry.total !== null ? entry.total >= request.dc : null
+      }))
+      .sort((a, b) => (b.total ?? -Infinity) - (a.total ?? -Infinity));
+    
+    const summary = {
+      rollRequestId,
+      type: request.type,
+      label: request.label,
+      dc: request.dc,
+      results,
+      passed: results.filter(r => r.passed === true).length,
+      failed: results.filter(r => r.passed === false).length
+    };
+    
+    this.log.info(`Group roll complete: ${request.label}`, summary);
+    Hooks.callAll('mageHand.groupRollComplete', summary);
+    
+    if (results.length === 0) {
+      ui.notifications.info(`No phones answered the ${request.label} request`);
+      return;
+    }
+    
+    await ChatMessage.create({
+      speaker: { alias: 'Mage Hand' },
+      content: this.renderSummary(summary)
+    });
+  }
+
+  renderSummary(summary) {
+    const escape = Handlebars.escapeExpression;
+    const hasDc = summary.dc !== undefined;
+    
+    const rows = summary.results.map(result => {
+      let outcome = '';
+      let cls = '';
+      if (result.total === null) {
+        outcome = result.failed ? 'Roll failed' : 'No response';
+        cls = 'no-response';
+      } else if (hasDc) {
+        outcome = result.passed ? 'Pass' : 'Fail';
+        cls = result.passed ? 'pass' : 'fail';
+      }
+      
+      return `<li class="${cls}">
+        <span class="name">${escape(result.name)}</span>
+        <span class="total">${result.total ?? '—'}</span>
+        <span class="outcome">${outcome}</span>
+      </li>`;
+    }).join('');
+    
+    const footer = hasDc
+      ? `<footer>${summary.passed} of ${summary.results.length} passed</footer>`
+      : '';
+    
+    return `<div class="mage-hand-group-roll">
+      <header>
+        <h3>${escape(summary.label)}</h3>
+        ${hasDc ? `<span class="dc">DC ${summary.dc}</span>` : ''}
+      </header>
+      <ul>${rows}</ul>
+      ${footer}
+    </div>`;
+  }
+
+  getRollLabel(type, ability, skill) {
+    const abilityLabel = CONFIG.DND5E.abilities[ability]?.label;
+    const skillLabel = CONFIG.DND5E.skills[skill]?.label;
+    
+    switch (type) {
+      case 'init':
+        return 'Initiative';
+      case 'ability':
+        return `${game.i18n.localize(abilityLabel)} Check`;
+      case 'save':
+        return `${game.i18n.localize(abilityLabel)} Saving Throw`;
+      case 'skill':
+        return `${game.i18n.localize(skillLabel)} Check`;
+    }
+  }
+}
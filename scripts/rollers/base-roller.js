@@ -1,13 +1,35 @@
 /**
  * Base Roller - Common functionality for all version-specific rollers
+ * Public roll methods throw when the roll can't be made, so each caller gets
+ * its own error.
  */
 
 import { RollParser } from '../utils/roll-parser.js';
+import { RollCapture } from '../utils/roll-capture.js';
 
 export class BaseRoller {
+  // Follow-up actions on an item card, by action name. The chat card
+  // button actions of each D&D5e version are accepted as aliases.
+  static FOLLOW_UP_ACTIONS = {
+    'attack': 'attack',
+    'rollAttack': 'attack',
+    'damage': 'damage',
+    'rollDamage': 'damage',
+    'versatile': 'damage',
+    'healing': 'damage',
+    'rollHealing': 'damage',
+    'save': 'save',
+    'rollSave': 'save',
+    'template': 'template',
+    'placeTemplate': 'template'
+  };
+
   constructor() {
-    this.pendingRolls = new Map();
-    this.setupChatListener();
+    // Matches rolls with their chat messages by a token in the message flags
+    this.rollCapture = new RollCapture();
+    // The module's extractor, set once both are created, for reading actor
+    // data the same way the sync does (e.g. hit dice)
+    this.extractor = null;
   }
 
   /**
@@ -20,24 +42,23 @@ export class BaseRoller {
   async rollAbilityTest(actorInput, ability, mode = "normal") {
     const actor = this.resolveActor(actorInput);
     if (!actor) {
-      console.error('Mage Hand | Cannot find actor:', actorInput);
-      return null;
+      throw new Error(`Cannot find actor: ${actorInput}`);
     }
 
     const validAbilities = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
     if (!validAbilities.includes(ability)) {
-      console.error('Mage Hand | Invalid ability:', ability);
-      return null;
+      throw new Error(`Invalid ability: ${ability}`);
     }
 
-    const rollPromise = this.createRollPromise(actor, ability, 'ability');
+    const capture = this.rollCapture.create(actor, ability, 'ability');
     
     try {
-      await this.performAbilityTest(actor, ability, mode);
-      return await rollPromise;
+      await this.performAbilityTest(actor, ability, mode, capture.flags);
+      return await capture.promise;
     } catch (error) {
+      this.rollCapture.cancel(capture);
       console.error('Mage Hand | Error rolling ability test:', error);
-      return null;
+      throw error;
     }
   }
 
@@ -46,29 +67,32 @@ export class BaseRoller {
    * @param {string} actorInput - Actor name or ID
    * @param {string} ability - Ability identifier (e.g., "str", "dex", "con", "int", "wis", "cha")
    * @param {string} mode - Roll mode: "normal", "advantage", "disadvantage"
+   * @param {Object} options
+   * @param {boolean} options.concentration - Concentration save, adds the
+   *   actor's concentration bonus
+   * @param {number} options.dc - Target value shown on the chat card
    * @returns {Promise<Object>} Roll result with total and details
    */
-  async rollAbilitySave(actorInput, ability, mode = "normal") {
+  async rollAbilitySave(actorInput, ability, mode = "normal", options = {}) {
     const actor = this.resolveActor(actorInput);
     if (!actor) {
-      console.error('Mage Hand | Cannot find actor:', actorInput);
-      return null;
+      throw new Error(`Cannot find actor: ${actorInput}`);
     }
 
     const validAbilities = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
     if (!validAbilities.includes(ability)) {
-      console.error('Mage Hand | Invalid ability:', ability);
-      return null;
+      throw new Error(`Invalid ability: ${ability}`);
     }
 
-    const rollPromise = this.createRollPromise(actor, ability, 'save');
+    const capture = this.rollCapture.create(actor, ability, 'save');
     
     try {
-      await this.performAbilitySave(actor, ability, mode);
-      return await rollPromise;
+      await this.performAbilitySave(actor, ability, mode, capture.flags, options);
+      return await capture.promise;
     } catch (error) {
+      this.rollCapture.cancel(capture);
       console.error('Mage Hand | Error rolling ability save:', error);
-      return null;
+      throw error;
     }
   }
 
@@ -82,18 +106,18 @@ export class BaseRoller {
   async rollSkillCheck(actorInput, skill, mode = "normal") {
     const actor = this.resolveActor(actorInput);
     if (!actor) {
-      console.error('Mage Hand | Cannot find actor:', actorInput);
-      return null;
+      throw new Error(`Cannot find actor: ${actorInput}`);
     }
 
-    const rollPromise = this.createRollPromise(actor, skill, 'skill');
+    const capture = this.rollCapture.create(actor, skill, 'skill');
     
     try {
-      await this.performSkillCheck(actor, skill, mode);
-      return await rollPromise;
+      await this.performSkillCheck(actor, skill, mode, capture.flags);
+      return await capture.promise;
     } catch (error) {
+      this.rollCapture.cancel(capture);
       console.error('Mage Hand | Error rolling skill check:', error);
-      return null;
+      throw error;
     }
   }
 
@@ -106,18 +130,18 @@ export class BaseRoller {
   async rollInitiative(actorInput, mode = "normal") {
     const actor = this.resolveActor(actorInput);
     if (!actor) {
-      console.error('Mage Hand | Cannot find actor:', actorInput);
-      return null;
+      throw new Error(`Cannot find actor: ${actorInput}`);
     }
 
-    const rollPromise = this.createRollPromise(actor, 'init', 'initiative');
+    const capture = this.rollCapture.create(actor, 'init', 'initiative');
     
     try {
-      await this.performInitiative(actor, mode);
-      return await rollPromise;
+      await this.performInitiative(actor, mode, capture.flags);
+      return await capture.promise;
     } catch (error) {
+      this.rollCapture.cancel(capture);
       console.error('Mage Hand | Error rolling initiative:', error);
-      return null;
+      throw error;
     }
   }
 
@@ -130,18 +154,18 @@ export class BaseRoller {
   async rollDeathSave(actorInput, mode = "normal") {
     const actor = this.resolveActor(actorInput);
     if (!actor) {
-      console.error('Mage Hand | Cannot find actor:', actorInput);
-      return null;
+      throw new Error(`Cannot find actor: ${actorInput}`);
     }
 
-    const rollPromise = this.createRollPromise(actor, 'death', 'deathSave');
+    const capture = this.rollCapture.create(actor, 'death', 'deathSave');
     
     try {
-      await this.performDeathSave(actor, mode);
-      return await rollPromise;
+      await this.performDeathSave(actor, mode, capture.flags);
+      return await capture.promise;
     } catch (error) {
+      this.rollCapture.cancel(capture);
       console.error('Mage Hand | Error rolling death save:', error);
-      return null;
+      throw error;
     }
   }
 
@@ -150,13 +174,19 @@ export class BaseRoller {
    * @param {string} actorInput - Actor name or ID
    * @param {string} itemNameOrId - Item name or ID
    * @param {string} mode - Roll mode: "normal", "advantage", "disadvantage"
-   * @returns {Promise<Object>} Roll result with total and details
+   * @param {Object} options - Usage options
+   * @param {number} options.spellLevel - Slot level to cast a spell at (upcasting)
+   * @param {boolean} options.pact - Cast with a pact magic slot
+   * @param {boolean} options.consumeSpellSlot - false to cast without spending a slot
+   * @param {boolean} options.consumeResources - false to skip uses, charges and resources
+   * @param {string} options.activityId - Activity to run instead of the first one (D&D5e v4+)
+   * @param {Array<string>} options.targetIds - Token IDs to target before use
+   * @returns {Promise<Object>} Roll result with total and details, and what was consumed
    */
-  async useItem(actorInput, itemNameOrId, mode = "normal") {
+  async useItem(actorInput, itemNameOrId, mode = "normal", options = {}) {
     const actor = this.resolveActor(actorInput);
     if (!actor) {
-      console.error('Mage Hand | Cannot find actor:', actorInput);
-      return null;
+      throw new Error(`Cannot find actor: ${actorInput}`);
     }
 
     // Find the item by name or ID
@@ -166,20 +196,49 @@ export class BaseRoller {
     }
     
     if (!item) {
-      console.error('Mage Hand | Cannot find item:', itemNameOrId);
-      return null;
+      throw new Error(`Cannot find item: ${itemNameOrId}`);
     }
     
     try {
+      await this.setTargets(options.targetIds);
+      
       // Call performItemUse which now returns structured data
-      const result = await this.performItemUse(actor, item, mode);
+      const before = this.snapshotConsumables(actor);
+      const result = await this.performItemUse(actor, item, mode, options);
+      if (result) result.consumed = this.getConsumed(actor, before);
       
       // Return the structured result with messageId and buttons
       return result;
     } catch (error) {
       console.error('Mage Hand | Error using item:', error);
-      return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Use a class feature, feat or other feature item
+   * Features go through the same usage as any item, so their uses,
+   * resources and rolls are handled by the system.
+   * @param {string} actorInput - Actor name or ID
+   * @param {string} featureNameOrId - Feature name or ID
+   * @param {string} mode - Roll mode: "normal", "advantage", "disadvantage"
+   * @param {Object} options - Usage options, as for useItem
+   * @returns {Promise<Object>} Result of useItem
+   */
+  async useFeature(actorInput, featureNameOrId, mode = "normal", options = {}) {
+    const actor = this.resolveActor(actorInput);
+    if (!actor) {
+      throw new Error(`Cannot find actor: ${actorInput}`);
+    }
+
+    const feature = actor.items.get(featureNameOrId) || 
+      actor.items.find(i => i.type === 'feat' && i.name === featureNameOrId);
+    
+    if (!feature || feature.type !== 'feat') {
+      throw new Error(`Cannot find feature: ${featureNameOrId}`);
     }
+    
+    return this.useItem(actor.id, feature.id, mode, options);
   }
 
   /**
@@ -192,8 +251,7 @@ export class BaseRoller {
   async rollAttack(actorInput, itemNameOrId, mode = "normal") {
     const actor = this.resolveActor(actorInput);
     if (!actor) {
-      console.error('Mage Hand | Cannot find actor:', actorInput);
-      return null;
+      throw new Error(`Cannot find actor: ${actorInput}`);
     }
 
     // Find the item by name or ID
@@ -203,8 +261,7 @@ export class BaseRoller {
     }
     
     if (!item) {
-      console.error('Mage Hand | Cannot find item:', itemNameOrId);
-      return null;
+      throw new Error(`Cannot find item: ${itemNameOrId}`);
     }
     
     try {
@@ -213,7 +270,7 @@ export class BaseRoller {
       return result;
     } catch (error) {
       console.error('Mage Hand | Error rolling attack:', error);
-      return null;
+      throw error;
     }
   }
 
@@ -228,8 +285,7 @@ export class BaseRoller {
   async rollDamage(actorInput, itemNameOrId, isCritical = false, messageId = null) {
     const actor = this.resolveActor(actorInput);
     if (!actor) {
-      console.error('Mage Hand | Cannot find actor:', actorInput);
-      return null;
+      throw new Error(`Cannot find actor: ${actorInput}`);
     }
 
     // Find the item by name or ID
@@ -239,8 +295,7 @@ export class BaseRoller {
     }
     
     if (!item) {
-      console.error('Mage Hand | Cannot find item:', itemNameOrId);
-      return null;
+      throw new Error(`Cannot find item: ${itemNameOrId}`);
     }
     
     try {
@@ -249,28 +304,118 @@ export class BaseRoller {
       return result;
     } catch (error) {
       console.error('Mage Hand | Error rolling damage:', error);
-      return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Follow up on an item card: roll its attack or damage, roll its saving
+   * throw or place its template
+   * Works from the message flags, so the card doesn't need to be rendered.
+   * @param {string} messageId - Item card message ID
+   * @param {string} action - attack, damage, versatile, save or template
+   * @param {Object} options
+   * @param {string} options.mode - Roll mode for attacks and saves
+   * @param {boolean} options.isCritical - Roll critical damage
+   * @param {string} options.ability - Save ability when the card offers several
+   * @param {Array<string>} options.actorIds - Actors rolling the save
+   * @param {Array<string>} options.targetIds - Token IDs to target first
+   * @param {Object} options.position - { x, y } for the template, default the
+   *   first target, then the caster's token
+   * @returns {Promise<Object>} Roll result, { saves } or { templateIds }
+   */
+  async followUp(messageId, action, options = {}) {
+    try {
+      const message = game.messages.get(messageId);
+      if (!message) {
+        throw new Error(`Cannot find message with ID: ${messageId}`);
+      }
+      
+      const followUp = BaseRoller.FOLLOW_UP_ACTIONS[action];
+      if (!followUp) {
+        throw new Error(`Unknown follow-up action: ${action}`);
+      }
+      
+      const actor = ChatMessage.getSpeakerActor(message.speaker);
+      if (!actor) {
+        throw new Error('Cannot determine actor from message');
+      }
+      
+      console.log(`Mage Hand | Follow-up "${followUp}" on message ${messageId} for ${actor.name}`);
+      await this.setTargets(options.targetIds);
+      
+      return await this.performFollowUp(actor, message, followUp, {
+        ...options,
+        versatile: action === 'versatile'
+      });
+    } catch (error) {
+      console.error('Mage Hand | Error with follow-up:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take a short or long rest without the rest dialog
+   * Hit dice are spent first, one roll per die, then the system's rest runs.
+   * @param {string} actorInput - Actor name or ID
+   * @param {string} type - "short" or "long"
+   * @param {Object} options
+   * @param {Object} options.hitDice - Dice to spend on a short rest by size,
+   *   e.g. { d8: 2, d10: 1 }
+   * @param {boolean} options.newDay - Recover uses that reset at dawn
+   * @returns {Promise<Object>} { type, hitDiceRolls, recovered }
+   */
+  async rest(actorInput, type, { hitDice = {}, newDay } = {}) {
+    try {
+      const actor = this.resolveActor(actorInput);
+      if (!actor) {
+        throw new Error(`Cannot find actor: ${actorInput}`);
+      }
+      if (type !== 'short' && type !== 'long') {
+        throw new Error(`Unknown rest type: ${type}`);
+      }
+      
+      const before = this.snapshotRest(actor);
+      const hitDiceRolls = [];
+      
+      if (type === 'short') {
+        for (const [denomination, count] of Object.entries(hitDice)) {
+          for (let i = 0; i < count; i++) {
+            const roll = await this.performHitDieRoll(actor, denomination);
+            if (!roll) throw new Error(`${actor.name} has no ${denomination} hit dice left`);
+            hitDiceRolls.push({ denomination, ...RollParser.parseRoll(roll, 'hitDie') });
+          }
+        }
+      }
+      
+      console.log(`Mage Hand | ${actor.name} takes a ${type} rest after spending ${hitDiceRolls.length} hit dice`);
+      await this.performRest(actor, type, { newDay });
+      
+      return { type, hitDiceRolls, recovered: this.getRecovered(actor, before) };
+    } catch (error) {
+      console.error('Mage Hand | Error resting:', error);
+      throw error;
     }
   }
 
   // Abstract methods to be implemented by version-specific rollers
-  async performAbilityTest(actor, ability, mode) {
+  async performAbilityTest(actor, ability, mode, messageFlags = {}) {
     throw new Error('performAbilityTest must be implemented by subclass');
   }
 
-  async performAbilitySave(actor, ability, mode) {
+  async performAbilitySave(actor, ability, mode, messageFlags = {}, options = {}) {
     throw new Error('performAbilitySave must be implemented by subclass');
   }
 
-  async performSkillCheck(actor, skill, mode) {
+  async performSkillCheck(actor, skill, mode, messageFlags = {}) {
     throw new Error('performSkillCheck must be implemented by subclass');
   }
 
-  async performItemUse(actor, item, mode) {
+  async performItemUse(actor, item, mode, options = {}) {
     throw new Error('performItemUse must be implemented by subclass');
   }
 
-  async performAttackRoll(actor, item, mode) {
+  async performAttackRoll(actor, item, mode, options = {}) {
     throw new Error('performAttackRoll must be implemented by subclass');
   }
 
@@ -278,7 +423,19 @@ export class BaseRoller {
     throw new Error('performDamageRoll must be implemented by subclass');
   }
 
-  async performInitiative(actor, mode) {
+  async performHitDieRoll(actor, denomination) {
+    throw new Error('performHitDieRoll must be implemented by subclass');
+  }
+
+  async performRest(actor, type, options = {}) {
+    throw new Error('performRest must be implemented by subclass');
+  }
+
+  /**
+   * Initiative goes through core's Combat#rollInitiative, which merges
+   * messageOptions into the chat message it creates
+   */
+  async performInitiative(actor, mode, messageFlags = {}) {
     const event = this.createEvent(mode);
     const { advantage, disadvantage } = this.parseAdvantage(event);
     
@@ -299,7 +456,8 @@ export class BaseRoller {
         await actor.rollInitiative(
           { 
             advantage: advantage,
-            disadvantage: disadvantage
+            disadvantage: disadvantage,
+            initiativeOptions: { messageOptions: { flags: messageFlags } }
           },
           {
             messageConfig: {
@@ -317,7 +475,8 @@ export class BaseRoller {
         await actor.rollInitiative(
           { 
             advantage: advantage,
-            disadvantage: disadvantage
+            disadvantage: disadvantage,
+            initiativeOptions: { messageOptions: { flags: messageFlags } }
           },
           {
             messageConfig: {
@@ -332,7 +491,8 @@ export class BaseRoller {
       await actor.rollInitiative(
         { 
           advantage: advantage,
-          disadvantage: disadvantage
+          disadvantage: disadvantage,
+          initiativeOptions: { messageOptions: { flags: messageFlags } }
         },
         {
           messageConfig: {
@@ -343,7 +503,7 @@ export class BaseRoller {
     }
   }
 
-  async performDeathSave(actor, mode) {
+  async performDeathSave(actor, mode, messageFlags = {}) {
     const event = this.createEvent(mode);
     const { advantage, disadvantage } = this.parseAdvantage(event);
     
@@ -389,7 +549,8 @@ export class BaseRoller {
       { 
         advantage: advantage,
         disadvantage: disadvantage,
-        fastForward: true  // Skip dialog (needed for v11)
+        fastForward: true,  // Skip dialog (needed for v11)
+        messageData: { flags: messageFlags }
       },
       {
         messageConfig: {
@@ -399,48 +560,6 @@ export class BaseRoller {
     );
   }
 
-  /**
-   * Create a promise that will resolve when we capture the roll result
-   */
-  createRollPromise(actor, identifier, type) {
-    return new Promise((resolve, reject) => {
-      const rollId = `${actor.id}-${identifier}-${type}-${Date.now()}`;
-      const pending = { 
-        resolve, 
-        reject, 
-        actor, 
-        type
-      };
-      
-      if (type === 'ability') {
-        pending.ability = identifier;
-      } else if (type === 'save') {
-        pending.ability = identifier;
-        pending.isSave = true;
-      } else if (type === 'skill') {
-        pending.skill = identifier;
-        pending.isSkill = true;
-      } else if (type === 'initiative') {
-        pending.isInitiative = true;
-      } else if (type === 'deathSave') {
-        pending.isDeathSave = true;
-      } else if (type === 'item') {
-        pending.itemId = identifier;
-        pending.isItem = true;
-      }
-      
-      this.pendingRolls.set(rollId, pending);
-      
-      // Set a timeout in case we don't capture the result
-      setTimeout(() => {
-        if (this.pendingRolls.has(rollId)) {
-          this.pendingRolls.delete(rollId);
-          reject(new Error('Roll result capture timeout'));
-        }
-      }, 5000);
-    });
-  }
-
   /**
    * Create a simulated event object for roll mode
    * @param {string} mode - "normal", "advantage", or "disadvantage"
@@ -491,6 +610,377 @@ export class BaseRoller {
     };
   }
 
+  /**
+   * Replace the user's token targets, as if the player had targeted them
+   * Targets only work for tokens on the scene being viewed.
+   * @param {Array<string>} targetIds - Token IDs; undefined leaves targets as they are
+   * @returns {Promise<number>} Number of tokens targeted
+   */
+  async setTargets(targetIds) {
+    if (!Array.isArray(targetIds) || !canvas?.tokens) return 0;
+    
+    const ids = targetIds.filter(id => canvas.tokens.get(id));
+    if (ids.length < targetIds.length) {
+      console.warn(`Mage Hand | ${targetIds.length - ids.length} target(s) not found on the current scene`);
+    }
+    
+    game.user.updateTokenTargets(ids);
+    return ids.length;
+  }
+
+  /**
+   * Spell slot to cast a spell with, when it isn't the system default
+   * Cantrips ignore the level, the system scales them by character level.
+   * @param {Actor} actor - The caster
+   * @param {Item} item - The spell
+   * @param {Object} options - { spellLevel, pact }
+   * @returns {Object|null} { slot, level } e.g. { slot: "spell3", level: 3 },
+   *   or null when the spell is cast with a slot of its own level
+   */
+  getSpellSlot(actor, item, { spellLevel, pact = false } = {}) {
+    if (item.type !== 'spell') return null;
+    
+    const baseLevel = item.system.level ?? 0;
+    if (baseLevel === 0) return null;
+    
+    if (pact) {
+      return { slot: 'pact', level: actor.system.spells?.pact?.level ?? baseLevel };
+    }
+    
+    if (!spellLevel || spellLevel <= baseLevel) return null;
+    return { slot: `spell${spellLevel}`, level: spellLevel };
+  }
+
+  /**
+   * Find the activity to run on a D&D5e v4+ item
+   * @param {Item} item - The item
+   * @param {string} activityId - Activity chosen on the phone (optional)
+   * @param {Function} fallback - Picks the default activity when none is chosen
+   * @returns {Activity|null} The activity, null if the item has none that fits
+   */
+  getActivity(item, activityId = null, fallback = () => true) {
+    const activities = item.system?.activities;
+    if (!activities) return null;
+    
+    if (activityId) {
+      const activity = activities.get(activityId);
+      if (!activity) throw new Error(`Item ${item.name} has no activity ${activityId}`);
+      return activity;
+    }
+    
+    return Array.from(activities.values()).find(fallback) || null;
+  }
+
+  /**
+   * Record everything an item use or attack can spend: spell slots, class
+   * resources, and the uses and quantity of every item
+   * @param {Actor} actor - The actor
+   * @returns {Object} Snapshot for getConsumed
+   */
+  snapshotConsumables(actor) {
+    const spells = {};
+    for (const [key, slot] of Object.entries(actor.system.spells || {})) {
+      if (slot?.max) spells[key] = { value: slot.value, level: slot.level ?? Number(key.replace('spell', '')) };
+    }
+    
+    const resources = {};
+    for (const [key, resource] of Object.entries(actor.system.resources || {})) {
+      if (resource?.max) resources[key] = { value: resource.value, label: resource.label };
+    }
+    
+    const items = {};
+    for (const item of actor.items) {
+      items[item.id] = {
+        name: item.name,
+        uses: item.system.uses?.max ? item.system.uses.value : null,
+        quantity: item.system.quantity ?? null
+      };
+    }
+    
+    return { spells, resources, items };
+  }
+
+  /**
+   * Compare the actor with a snapshot taken before a use
+   * @param {Actor} actor - The actor, after the use
+   * @param {Object} before - Result of snapshotConsumables
+   * @returns {Array<Object>} One entry per thing spent, e.g.
+   *   { type: 'spellSlot', slot: 'spell3', level: 3, amount: 1 }
+   *   { type: 'resource', resource: 'primary', label: 'Ki', amount: 2 }
+   *   { type: 'uses', itemId, name, amount: 1 }
+   *   { type: 'quantity', itemId, name, amount: 1, depleted: false }
+   */
+  getConsumed(actor, before) {
+    const after = this.snapshotConsumables(actor);
+    const consumed = [];
+    
+    for (const [key, slot] of Object.entries(before.spells)) {
+      const amount = slot.value - (after.spells[key]?.value ?? slot.value);
+      if (amount > 0) consumed.push({ type: 'spellSlot', slot: key, level: slot.level, amount });
+    }
+    
+    for (const [key, resource] of Object.entries(before.resources)) {
+      const amount = resource.value - (after.resources[key]?.value ?? resource.value);
+      if (amount > 0) consumed.push({ type: 'resource', resource: key, label: resource.label, amount });
+    }
+    
+    for (const [itemId, item] of Object.entries(before.items)) {
+      // Consumables can be deleted once their last charge or unit is gone
+      const current = after.items[itemId];
+      if (!current) {
+        consumed.push({ type: 'quantity', itemId, name: item.name, amount: item.quantity ?? 1, depleted: true });
+        continue;
+      }
+      
+      if (item.uses !== null) {
+        const amount = item.uses - (current.uses ?? item.uses);
+        if (amount > 0) consumed.push({ type: 'uses', itemId, name: item.name, amount });
+      }
+      if (item.quantity !== null) {
+        const amount = item.quantity - (current.quantity ?? item.quantity);
+        if (amount > 0) consumed.push({ type: 'quantity', itemId, name: item.name, amount, depleted: false });
+      }
+    }
+    
+    return consumed;
+  }
+
+  /**
+   * Record what a rest can restore: hit points, hit dice and consumables
+   * @param {Actor} actor - The actor
+   * @returns {Object} Snapshot for getRecovered
+   */
+  snapshotRest(actor) {
+    return {
+      ...this.snapshotConsumables(actor),
+      hp: actor.system.attributes.hp?.value ?? 0,
+      // By size as the extractor reports them: { d8: { value, max } }
+      hitDice: this.extractor.getHitDice(actor)
+    };
+  }
+
+  /**
+   * Compare the actor with a snapshot taken before a rest
+   * Hit dice spent during the rest count against those recovered.
+   * @param {Actor} actor - The actor, after the rest
+   * @param {Object} before - Result of snapshotRest
+   * @returns {Array<Object>} One entry per thing restored, e.g.
+   *   { type: 'hp', amount: 12 }
+   *   { type: 'hitDice', denomination: 'd8', amount: 1 }
+   *   { type: 'spellSlot', slot: 'spell3', level: 3, amount: 1 }
+   *   { type: 'resource', resource: 'primary', label: 'Ki', amount: 2 }
+   *   { type: 'uses', itemId, name, amount: 1 }
+   */
+  getRecovered(actor, before) {
+    const after = this.snapshotRest(actor);
+    const recovered = [];
+    
+    const hp = after.hp - before.hp;
+    if (hp > 0) recovered.push({ type: 'hp', amount: hp });
+    
+    for (const [denomination, { value }] of Object.entries(after.hitDice)) {
+      const amount = value - (before.hitDice[denomination]?.value ?? 0);
+      if (amount > 0) recovered.push({ type: 'hitDice', denomination, amount });
+    }
+    
+    for (const [key, slot] of Object.entries(after.spells)) {
+      const amount = slot.value - (before.spells[key]?.value ?? slot.value);
+      if (amount > 0) recovered.push({ type: 'spellSlot', slot: key, level: slot.level, amount });
+    }
+    
+    for (const [key, resource] of Object.entries(after.resources)) {
+      const amount = resource.value - (before.resources[key]?.value ?? resource.value);
+      if (amount > 0) recovered.push({ type: 'resource', resource: key, label: resource.label, amount });
+    }
+    
+    for (const [itemId, item] of Object.entries(after.items)) {
+      if (item.uses === null) continue;
+      const amount = item.uses - (before.items[itemId]?.uses ?? item.uses);
+      if (amount > 0) recovered.push({ type: 'uses', itemId, name: item.name, amount });
+    }
+    
+    return recovered;
+  }
+
+  /**
+   * Follow up on an item card from its flags (D&D5e v4+)
+   * D&D5e v3 has no activities, RollerV11 overrides this.
+   * The card's activity is rebuilt by the system from the message, with the
+   * stored item data and scaling, so upcast damage matches the card.
+   * @param {Actor} actor - The actor that used the item
+   * @param {ChatMessage} message - The item card
+   * @param {string} action - attack, damage, save or template
+   * @param {Object} options - See BaseRoller.followUp
+   * @returns {Object} Follow-up result
+   */
+  async performFollowUp(actor, message, action, options = {}) {
+    const activityUuid = message.flags?.dnd5e?.activity?.uuid;
+    const activity = message.getAssociatedActivity?.() || (activityUuid ? fromUuidSync(activityUuid) : null);
+    if (!activity) {
+      throw new Error('Cannot find the activity this card was made from');
+    }
+    
+    switch (action) {
+      case 'attack':
+        return this.performAttackRoll(actor, activity.item, options.mode || 'normal', {
+          ...options,
+          activityId: activity.id
+        });
+      
+      case 'damage': {
+        if (!activity.rollDamage) {
+          throw new Error(`Activity ${activity.name} cannot roll damage`);
+        }
+        
+        // Set up hook to capture the damage message linked to the card
+        let messageResolve;
+        const messagePromise = new Promise(resolve => {
+          messageResolve = resolve;
+        });
+        
+        const hookId = Hooks.on('createChatMessage', (created) => {
+          if (created.flags?.dnd5e?.originatingMessage === message.id && created.rolls?.length > 0) {
+            messageResolve(created);
+          }
+        });
+        
+        const rollConfig = {
+          isCritical: options.isCritical || false
+        };
+        
+        const dialogConfig = {
+          configure: false
+        };
+        
+        // Link the damage to the card, like the card's own button does
+        const messageConfig = {
+          data: {
+            flags: {
+              dnd5e: {
+                originatingMessage: message.id
+              }
+            }
+          }
+        };
+        
+        let damageRolls;
+        let rollMessage;
+        try {
+          damageRolls = await activity.rollDamage(rollConfig, dialogConfig, messageConfig);
+          
+          rollMessage = damageRolls?.length ? await Promise.race([
+            messagePromise,
+            new Promise(resolve => setTimeout(() => resolve(null), 2000))
+          ]) : null;
+        } finally {
+          // Clean up hook, also when the roll throws or is cancelled
+          Hooks.off('createChatMessage', hookId);
+        }
+        
+        if (!damageRolls?.length) return null;
+        
+        return RollParser.combineDamageRolls(damageRolls, {
+          isCritical: options.isCritical || false,
+          itemName: activity.item.name,
+          actorId: actor.id,
+          actorName: actor.name,
+          messageId: rollMessage?.id
+        });
+      }
+      
+      case 'save': {
+        // save.ability is a Set in v4.1+, a single key before
+        const abilities = activity.save?.ability instanceof Set
+          ? Array.from(activity.save.ability)
+          : [activity.save?.ability].filter(Boolean);
+        const ability = abilities.includes(options.ability) ? options.ability : abilities[0];
+        return this.rollFollowUpSave(ability, activity.save?.dc?.value, options);
+      }
+      
+      case 'template': {
+        const templates = dnd5e.canvas.AbilityTemplate.fromActivity(activity) || [];
+        return this.placeTemplates(actor, templates.map(t => t.document.toObject()), options.position);
+      }
+    }
+  }
+
+  /**
+   * Roll a card's saving throw for each of the given actors
+   * @param {string} ability - Save ability
+   * @param {number|null} dc - Save DC, if the card has one
+   * @param {Object} options - { actorIds, mode }
+   * @returns {Promise<Object>} { ability, dc, saves } with a success flag per save
+   */
+  async rollFollowUpSave(ability, dc, { actorIds = [], mode = 'normal' } = {}) {
+    if (!ability) throw new Error('This card has no saving throw');
+    if (actorIds.length === 0) throw new Error('No actors to roll the save for');
+    
+    const saves = [];
+    for (const actorId of actorIds) {
+      const roll = await this.rollAbilitySave(actorId, ability, mode);
+      if (!roll) throw new Error(`Save failed for actor ${actorId}`);
+      
+      saves.push({
+        ...roll,
+        actorId,
+        success: Number.isFinite(dc) ? roll.total >= dc : null
+      });
+    }
+    
+    return { ability, dc: Number.isFinite(dc) ? dc : null, saves };
+  }
+
+  /**
+   * Create a card's templates directly instead of the interactive preview
+   * @param {Actor} actor - The caster
+   * @param {Array<Object>} templates - MeasuredTemplate data from the system
+   * @param {Object} position - { x, y } (optional)
+   * @returns {Promise<Object>} { templateIds }
+   */
+  async placeTemplates(actor, templates, position = null) {
+    if (templates.length === 0) throw new Error('This card has no area of effect');
+    if (!canvas?.scene) throw new Error('No scene is being viewed');
+    
+    const origin = position ?? this.getTemplateOrigin(actor);
+    if (!origin) throw new Error('No target or token to place the template at');
+    
+    const data = templates.map(template => ({ ...template, x: origin.x, y: origin.y }));
+    const created = await canvas.scene.createEmbeddedDocuments('MeasuredTemplate', data);
+    
+    console.log(`Mage Hand | Placed ${created.length} template(s) at ${origin.x},${origin.y}`);
+    return { templateIds: created.map(template => template.id) };
+  }
+
+  /**
+   * Bonus formula the actor adds to concentration saves, e.g. from War Caster
+   * @returns {string|null}
+   */
+  getConcentrationBonus(actor) {
+    return actor.system.attributes.concentration?.bonuses?.save || null;
+  }
+
+  /**
+   * Roll configuration for concentration saves on D&D5e v4+, as
+   * Actor5e#rollConcentration builds it: the concentration bonus as an extra
+   * part and the DC as target
+   */
+  getSaveConfig(actor, options = {}) {
+    const config = {};
+    if (options.concentration) {
+      const bonus = this.getConcentrationBonus(actor);
+      config.isConcentration = true;
+      if (bonus) config.rolls = [{ parts: [bonus] }];
+    }
+    if (Number.isFinite(options.dc)) config.target = options.dc;
+    return config;
+  }
+
+  getTemplateOrigin(actor) {
+    const target = Array.from(game.user.targets)[0];
+    const token = target || actor.getActiveTokens()[0];
+    return token?.center || null;
+  }
+
   /**
    * Get speaker for the roll
    */
@@ -517,40 +1007,6 @@ export class BaseRoller {
     return actor;
   }
 
-  /**
-   * Setup listener for chat messages to capture roll results
-   */
-  setupChatListener() {
-    Hooks.on('createChatMessage', (message) => {
-      // Check if this is a roll message
-      if (!message.rolls || message.rolls.length === 0) return;
-      
-      // Get the actor from the message speaker
-      const actor = game.actors.get(message.speaker.actor);
-      if (!actor) return;
-      
-      // Check if we have any pending rolls for this actor
-      for (const [rollId, pending] of this.pendingRolls) {
-        if (pending.actor.id === actor.id) {
-          // Use utility to parse the message with pending context
-          const result = RollParser.parseFromMessage(message, pending);
-          
-          if (!result) {
-            console.warn('Mage Hand | Could not parse roll from message');
-            continue;
-          }
-
-          // Resolve the pending promise
-          pending.resolve(result);
-          this.pendingRolls.delete(rollId);
-          
-          // Only process the first matching pending roll
-          break;
-        }
-      }
-    });
-  }
-
   /**
    * Parse available buttons from a chat message
    * @param {ChatMessage} message - The chat message to parse
@@ -605,13 +1061,14 @@ export class BaseRoller {
    * @param {string} actorInput - Actor name or ID
    * @param {string} spellNameOrId - Spell name or ID
    * @param {string} mode - Roll mode (normal, advantage, disadvantage)
+   * @param {Object} options - { targetIds, ammunitionId, activityId } targets to set,
+   *   ammunition to fire and the attack activity to roll
    * @returns {Promise<Object>} Spell attack roll result
    */
-  async castSpellAttack(actorInput, spellNameOrId, mode = 'normal') {
+  async castSpellAttack(actorInput, spellNameOrId, mode = 'normal', options = {}) {
     const actor = this.resolveActor(actorInput);
     if (!actor) {
-      console.error('Mage Hand | Cannot find actor:', actorInput);
-      return null;
+      throw new Error(`Cannot find actor: ${actorInput}`);
     }
 
     // Find the spell by name or ID
@@ -621,21 +1078,23 @@ export class BaseRoller {
     }
     
     if (!spell) {
-      console.error('Mage Hand | Cannot find spell:', spellNameOrId);
-      return null;
+      throw new Error(`Cannot find spell: ${spellNameOrId}`);
     }
     
     // Validate this is a spell
     if (spell.type !== 'spell') {
-      console.error(`Mage Hand | Item ${spell.name} is not a spell (type: ${spell.type})`);
-      return null;
+      throw new Error(`Item ${spell.name} is not a spell (type: ${spell.type})`);
     }
     
     console.log(`Mage Hand | Casting spell attack: ${spell.name}`);
     
     try {
+      await this.setTargets(options.targetIds);
+      
       // Use the generic attack roll method
-      const result = await this.performAttackRoll(actor, spell, mode);
+      const before = this.snapshotConsumables(actor);
+      const result = await this.performAttackRoll(actor, spell, mode, options);
+      if (result) result.consumed = this.getConsumed(actor, before);
       
       // Add spell-specific context
       if (result) {
@@ -647,7 +1106,7 @@ export class BaseRoller {
       return result;
     } catch (error) {
       console.error('Mage Hand | Error casting spell attack:', error);
-      return null;
+      throw error;
     }
   }
 
@@ -662,8 +1121,7 @@ export class BaseRoller {
   async castSpellDamage(actorInput, spellNameOrId, isCritical = false, messageId = null) {
     const actor = this.resolveActor(actorInput);
     if (!actor) {
-      console.error('Mage Hand | Cannot find actor:', actorInput);
-      return null;
+      throw new Error(`Cannot find actor: ${actorInput}`);
     }
 
     // Find the spell by name or ID
@@ -673,14 +1131,12 @@ export class BaseRoller {
     }
     
     if (!spell) {
-      console.error('Mage Hand | Cannot find spell:', spellNameOrId);
-      return null;
+      throw new Error(`Cannot find spell: ${spellNameOrId}`);
     }
     
     // Validate this is a spell
     if (spell.type !== 'spell') {
-      console.error(`Mage Hand | Item ${spell.name} is not a spell (type: ${spell.type})`);
-      return null;
+      throw new Error(`Item ${spell.name} is not a spell (type: ${spell.type})`);
     }
     
     console.log(`Mage Hand | Rolling spell damage: ${spell.name}`);
@@ -699,7 +1155,7 @@ export class BaseRoller {
       return result;
     } catch (error) {
       console.error('Mage Hand | Error rolling spell damage:', error);
-      return null;
+      throw error;
     }
   }
 
@@ -708,13 +1164,14 @@ export class BaseRoller {
    * @param {string} actorInput - Actor name or ID
    * @param {string} weaponNameOrId - Weapon name or ID
    * @param {string} mode - Roll mode (normal, advantage, disadvantage)
+   * @param {Object} options - { targetIds, ammunitionId, activityId } targets to set,
+   *   ammunition to fire and the attack activity to roll
    * @returns {Promise<Object>} Weapon attack roll result
    */
-  async weaponAttack(actorInput, weaponNameOrId, mode = 'normal') {
+  async weaponAttack(actorInput, weaponNameOrId, mode = 'normal', options = {}) {
     const actor = this.resolveActor(actorInput);
     if (!actor) {
-      console.error('Mage Hand | Cannot find actor:', actorInput);
-      return null;
+      throw new Error(`Cannot find actor: ${actorInput}`);
     }
 
     // Find the weapon by name or ID
@@ -724,21 +1181,23 @@ export class BaseRoller {
     }
     
     if (!weapon) {
-      console.error('Mage Hand | Cannot find weapon:', weaponNameOrId);
-      return null;
+      throw new Error(`Cannot find weapon: ${weaponNameOrId}`);
     }
     
     // Validate this is a weapon
     if (weapon.type !== 'weapon') {
-      console.error(`Mage Hand | Item ${weapon.name} is not a weapon (type: ${weapon.type})`);
-      return null;
+      throw new Error(`Item ${weapon.name} is not a weapon (type: ${weapon.type})`);
     }
     
     console.log(`Mage Hand | Weapon attack: ${weapon.name}`);
     
     try {
+      await this.setTargets(options.targetIds);
+      
       // Use the generic attack roll method
-      const result = await this.performAttackRoll(actor, weapon, mode);
+      const before = this.snapshotConsumables(actor);
+      const result = await this.performAttackRoll(actor, weapon, mode, options);
+      if (result) result.consumed = this.getConsumed(actor, before);
       
       // Add weapon-specific context
       if (result) {
@@ -750,7 +1209,7 @@ export class BaseRoller {
       return result;
     } catch (error) {
       console.error('Mage Hand | Error with weapon attack:', error);
-      return null;
+      throw error;
     }
   }
 
@@ -765,8 +1224,7 @@ export class BaseRoller {
   async weaponDamage(actorInput, weaponNameOrId, isCritical = false, messageId = null) {
     const actor = this.resolveActor(actorInput);
     if (!actor) {
-      console.error('Mage Hand | Cannot find actor:', actorInput);
-      return null;
+      throw new Error(`Cannot find actor: ${actorInput}`);
     }
 
     // Find the weapon by name or ID
@@ -776,14 +1234,12 @@ export class BaseRoller {
     }
     
     if (!weapon) {
-      console.error('Mage Hand | Cannot find weapon:', weaponNameOrId);
-      return null;
+      throw new Error(`Cannot find weapon: ${weaponNameOrId}`);
     }
     
     // Validate this is a weapon
     if (weapon.type !== 'weapon') {
-      console.error(`Mage Hand | Item ${weapon.name} is not a weapon (type: ${weapon.type})`);
-      return null;
+      throw new Error(`Item ${weapon.name} is not a weapon (type: ${weapon.type})`);
     }
     
     console.log(`Mage Hand | Rolling weapon damage: ${weapon.name}`);
@@ -802,7 +1258,7 @@ export class BaseRoller {
       return result;
     } catch (error) {
       console.error('Mage Hand | Error rolling weapon damage:', error);
-      return null;
+      throw error;
     }
   }
 
@@ -811,13 +1267,14 @@ export class BaseRoller {
    * @param {string} actorInput - Actor name or ID
    * @param {string} itemNameOrId - Item name or ID
    * @param {string} mode - Roll mode (normal, advantage, disadvantage)
+   * @param {Object} options - { targetIds, ammunitionId, activityId } targets to set,
+   *   ammunition to fire and the attack activity to roll
    * @returns {Promise<Object>} Item attack roll result
    */
-  async itemAttack(actorInput, itemNameOrId, mode = 'normal') {
+  async itemAttack(actorInput, itemNameOrId, mode = 'normal', options = {}) {
     const actor = this.resolveActor(actorInput);
     if (!actor) {
-      console.error('Mage Hand | Cannot find actor:', actorInput);
-      return null;
+      throw new Error(`Cannot find actor: ${actorInput}`);
     }
 
     // Find the item by name or ID
@@ -827,15 +1284,18 @@ export class BaseRoller {
     }
     
     if (!item) {
-      console.error('Mage Hand | Cannot find item:', itemNameOrId);
-      return null;
+      throw new Error(`Cannot find item: ${itemNameOrId}`);
     }
     
     console.log(`Mage Hand | Item attack: ${item.name} (type: ${item.type})`);
     
     try {
+      await this.setTargets(options.targetIds);
+      
       // Use the generic attack roll method
-      const result = await this.performAttackRoll(actor, item, mode);
+      const before = this.snapshotConsumables(actor);
+      const result = await this.performAttackRoll(actor, item, mode, options);
+      if (result) result.consumed = this.getConsumed(actor, before);
       
       // Add item-specific context
       if (result) {
@@ -846,7 +1306,7 @@ export class BaseRoller {
       return result;
     } catch (error) {
       console.error('Mage Hand | Error with item attack:', error);
-      return null;
+      throw error;
     }
   }
 
@@ -861,8 +1321,7 @@ export class BaseRoller {
   async itemDamage(actorInput, itemNameOrId, isCritical = false, messageId = null) {
     const actor = this.resolveActor(actorInput);
     if (!actor) {
-      console.error('Mage Hand | Cannot find actor:', actorInput);
-      return null;
+      throw new Error(`Cannot find actor: ${actorInput}`);
     }
 
     // Find the item by name or ID
@@ -872,8 +1331,7 @@ export class BaseRoller {
     }
     
     if (!item) {
-      console.error('Mage Hand | Cannot find item:', itemNameOrId);
-      return null;
+      throw new Error(`Cannot find item: ${itemNameOrId}`);
     }
     
     console.log(`Mage Hand | Rolling item damage: ${item.name} (type: ${item.type})`);
@@ -891,7 +1349,7 @@ export class BaseRoller {
       return result;
     } catch (error) {
       console.error('Mage Hand | Error rolling item damage:', error);
-      return null;
+      throw error;
     }
   }
 
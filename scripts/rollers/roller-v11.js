@@ -12,7 +12,7 @@ export class RollerV11 extends BaseRoller {
     this.version = 'v11-dnd5e-v3';
   }
 
-  async performAbilityTest(actor, ability, mode) {
+  async performAbilityTest(actor, ability, mode, messageFlags = {}) {
     const event = this.createEvent(mode);
     const speaker = this.getSpeaker(actor);
     
@@ -20,25 +20,35 @@ export class RollerV11 extends BaseRoller {
       await actor.rollAbilityTest(ability, { 
         event, 
         speaker,
-        fastForward: true  // v11 needs this to skip dialog
+        fastForward: true,  // v11 needs this to skip dialog
+        messageData: { flags: messageFlags }
       });
     } else {
       throw new Error('rollAbilityTest not available on actor');
     }
   }
 
-  async performAbilitySave(actor, ability, mode) {
+  async performAbilitySave(actor, ability, mode, messageFlags = {}, options = {}) {
     const event = this.createEvent(mode);
     const speaker = this.getSpeaker(actor);
     
+    // Concentration saves add the bonus the way Actor5e#rollConcentration does
+    const rollOptions = { event, speaker, messageData: { flags: messageFlags } };
+    if (options.concentration) {
+      const bonus = this.getConcentrationBonus(actor);
+      rollOptions.isConcentration = true;
+      if (bonus) rollOptions.parts = [bonus];
+    }
+    if (Number.isFinite(options.dc)) rollOptions.targetValue = options.dc;
+    
     if (actor.rollAbilitySave) {
-      await actor.rollAbilitySave(ability, { event, speaker });
+      await actor.rollAbilitySave(ability, rollOptions);
     } else {
       throw new Error('rollAbilitySave not available on actor');
     }
   }
 
-  async performSkillCheck(actor, skill, mode) {
+  async performSkillCheck(actor, skill, mode, messageFlags = {}) {
     const event = this.createEvent(mode);
     const speaker = this.getSpeaker(actor);
     
@@ -46,21 +56,77 @@ export class RollerV11 extends BaseRoller {
       await actor.rollSkill(skill, { 
         event, 
         speaker,
-        fastForward: true  // v11 needs this to skip dialog
+        fastForward: true,  // v11 needs this to skip dialog
+        messageData: { flags: messageFlags }
       });
     } else {
       throw new Error('rollSkill not available on actor');
     }
   }
 
+  /**
+   * Use an item through D&D5e v3's item.use(config, options)
+   * v3 posts the item card only, attacks and damage come from its buttons.
+   * @param {Actor} actor - The actor using the item
+   * @param {Item} item - The item being used
+   * @param {string} mode - Roll mode (normal, advantage, disadvantage)
+   * @param {Object} options - { spellLevel, pact, consumeSpellSlot, consumeResources }
+   * @returns {Object} Card message ID and its buttons
+   */
+  async performItemUse(actor, item, mode, options = {}) {
+    const event = this.createEvent(mode);
+    
+    // Check if item can be used
+    if (!item.use) {
+      console.error(`Mage Hand | Item ${item.name} cannot be used`);
+      throw new Error(`Item ${item.name} cannot be used`);
+    }
+    
+    console.log(`Mage Hand | Using item ${item.name} for ${actor.name} (v11 direct method)`);
+    
+    // v3 takes the slot key ("spell3" or "pact") in slotLevel
+    const config = {};
+    const spellSlot = this.getSpellSlot(actor, item, options);
+    if (spellSlot) {
+      config.slotLevel = spellSlot.slot;
+      config.consumeSpellSlot = true;
+      console.log(`Mage Hand | Casting ${item.name} with slot ${spellSlot.slot} (level ${spellSlot.level})`);
+    }
+    if (options.consumeSpellSlot !== undefined) config.consumeSpellSlot = options.consumeSpellSlot;
+    
+    // v3 splits item uses from the resource the item consumes (charges, ammo, class resources)
+    if (options.consumeResources !== undefined) {
+      config.consumeUsage = options.consumeResources;
+      config.consumeResource = options.consumeResources;
+    }
+    
+    const message = await item.use(config, {
+      configureDialog: false,  // Skip dialog
+      createMessage: true,
+      event: event
+    });
+    
+    // item.use resolves to nothing when the use is refused (no slots, no uses left)
+    if (!message) {
+      throw new Error(`${item.name} could not be used`);
+    }
+    
+    return {
+      messageId: message.id || null,
+      buttons: message.id ? this.parseChatButtons(message) : [],
+      roll: null
+    };
+  }
+
   /**
    * Perform a direct attack roll using item's rollAttack method
    * @param {Actor} actor - The actor making the attack
    * @param {Item} item - The item being used
    * @param {string} mode - Roll mode (normal, advantage, disadvantage)
+   * @param {Object} options - { ammunitionId } ammunition item to fire
    * @returns {Object} Attack roll result with critical status
    */
-  async performAttackRoll(actor, item, mode) {
+  async performAttackRoll(actor, item, mode, options = {}) {
     const event = this.createEvent(mode);
     
     // Check if item has rollAttack method
@@ -69,6 +135,13 @@ export class RollerV11 extends BaseRoller {
       throw new Error(`Item ${item.name} cannot make attack rolls`);
     }
     
+    // v3 has no per-roll ammunition choice, the weapon's consume target is
+    // what gets fired, so point it at the chosen ammunition like the sheet does
+    const consume = item.system?.consume;
+    if (options.ammunitionId && consume?.type === 'ammo' && consume.target !== options.ammunitionId) {
+      await item.update({ 'system.consume.target': options.ammunitionId });
+    }
+    
     console.log(`Mage Hand | Rolling attack for ${item.name} (v11 direct method)`);
     
     // Set up hook to capture the chat message with the roll
@@ -84,12 +157,12 @@ export class RollerV11 extends BaseRoller {
     });
     
     // Roll the attack using v11's direct method
-    const options = {
+    const rollOptions = {
       event: event,
       fastForward: true  // Skip dialog
     };
     
-    const roll = await item.rollAttack(options);
+    const roll = await item.rollAttack(rollOptions);
     
     // Wait for the message
     const message = await Promise.race([
@@ -216,4 +289,100 @@ export class RollerV11 extends BaseRoller {
     
     return null;
   }
+
+  /**
+   * Follow up on an item card from its flags (D&D5e v3)
+   * v3 stores the item as used (upcast level included) on the card, and the
+   * cast level in the card's data-spell-level, which the damage button reads.
+   * @param {Actor} actor - The actor that used the item
+   * @param {ChatMessage} message - The item card
+   * @param {string} action - attack, damage, save or template
+   * @param {Object} options - See BaseRoller.followUp
+   * @returns {Object} Follow-up result
+   */
+  async performFollowUp(actor, message, action, options = {}) {
+    const item = message.getAssociatedItem?.() || actor.items.get(message.flags?.dnd5e?.use?.itemId);
+    if (!item) {
+      throw new Error('Cannot find the item this card was made from');
+    }
+    
+    switch (action) {
+      case 'attack':
+        return this.performAttackRoll(actor, item, options.mode || 'normal', options);
+      
+      case 'damage': {
+        if (!item.rollDamage) {
+          throw new Error(`Item ${item.name} cannot roll damage`);
+        }
+        
+        // Set up hook to capture the chat message
+        let messageResolve;
+        const messagePromise = new Promise(resolve => {
+          messageResolve = resolve;
+        });
+        
+        const hookId = Hooks.on('createChatMessage', (created) => {
+          if (created.flags?.dnd5e?.originatingMessage === message.id && created.rolls?.length > 0) {
+            messageResolve(created);
+          }
+        });
+        
+        let roll;
+        let rollMessage;
+        try {
+          const spellLevel = Number(message.content?.match(/data-spell-level="(\d+)"/)?.[1]) || null;
+          roll = await item.rollDamage({
+            critical: options.isCritical || false,
+            spellLevel: spellLevel,
+            versatile: options.versatile || false,
+            options: {
+              fastForward: true,  // Skip dialog
+              // Link the damage to the card, like the card's own button does
+              messageData: { 'flags.dnd5e.originatingMessage': message.id }
+            }
+          });
+          
+          rollMessage = roll ? await Promise.race([
+            messagePromise,
+            new Promise(resolve => setTimeout(() => resolve(null), 2000))
+          ]) : null;
+        } finally {
+          // Clean up hook, also when the roll throws or is cancelled
+          Hooks.off('createChatMessage', hookId);
+        }
+        
+        if (!roll) return null;
+        
+        const rollData = RollParser.parseRoll(roll, 'damage');
+        rollData.critical = options.isCritical || false;
+        rollData.itemName = item.name;
+        rollData.actorId = actor.id;
+        rollData.actorName = actor.name;
+        rollData.messageId = rollMessage?.id;
+        return rollData;
+      }
+      
+      case 'save':
+        return this.rollFollowUpSave(item.system.save?.ability, item.system.save?.dc, options);
+      
+      case 'template': {
+        const template = dnd5e.canvas.AbilityTemplate.fromItem(item);
+        return this.placeTemplates(actor, template ? [template.document.toObject()] : [], options.position);
+      }
+    }
+  }
+
+  /**
+   * D&D5e v3 takes the die size and returns the roll, null when none are left
+   */
+  async performHitDieRoll(actor, denomination) {
+    return actor.rollHitDie(denomination, { dialog: false });
+  }
+
+  async performRest(actor, type, { newDay } = {}) {
+    const config = { dialog: false, chat: true, autoHD: false };
+    if (typeof newDay === 'boolean') config.newDay = newDay;
+    
+    return type === 'long' ? actor.longRest(config) : actor.shortRest(config);
+  }
 }
\ No newline at end of file
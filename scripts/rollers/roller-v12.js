@@ -12,7 +12,7 @@ export class RollerV12 extends BaseRoller {
     this.version = 'v12-dnd5e-v4';
   }
 
-  async performAbilityTest(actor, ability, mode) {
+  async performAbilityTest(actor, ability, mode, messageFlags = {}) {
     const event = this.createEvent(mode);
     const { advantage, disadvantage } = this.parseAdvantage(event);
     const speaker = this.getSpeaker(actor);
@@ -27,31 +27,39 @@ export class RollerV12 extends BaseRoller {
         {
           configure: false,
           messageConfig: { speaker: speaker }
+        },
+        {
+          data: { flags: messageFlags }
         }
       );
     } else if (actor.rollAbilityTest) {
       // Fallback for early v4.0
-      await actor.rollAbilityTest(ability, { event, speaker });
+      await actor.rollAbilityTest(ability, { event, speaker, messageData: { flags: messageFlags } });
     } else {
       throw new Error('rollAbilityCheck/rollAbilityTest not available on actor');
     }
   }
 
-  async performAbilitySave(actor, ability, mode) {
+  async performAbilitySave(actor, ability, mode, messageFlags = {}, options = {}) {
     const event = this.createEvent(mode);
     const { advantage, disadvantage } = this.parseAdvantage(event);
     const speaker = this.getSpeaker(actor);
+    const saveConfig = this.getSaveConfig(actor, options);
     
     if (actor.rollSavingThrow) {
       await actor.rollSavingThrow(
         {
           ability: ability,
           advantage: advantage,
-          disadvantage: disadvantage
+          disadvantage: disadvantage,
+          ...saveConfig
         },
         {
           configure: false,
           messageConfig: { speaker: speaker }
+        },
+        {
+          data: { flags: messageFlags }
         }
       );
     } else if (actor.rollAbilitySave) {
@@ -60,11 +68,15 @@ export class RollerV12 extends BaseRoller {
         {
           ability: ability,
           advantage: advantage,
-          disadvantage: disadvantage
+          disadvantage: disadvantage,
+          ...saveConfig
         },
         {
           configure: false,
           messageConfig: { speaker: speaker }
+        },
+        {
+          data: { flags: messageFlags }
         }
       );
     } else {
@@ -72,7 +84,7 @@ export class RollerV12 extends BaseRoller {
     }
   }
 
-  async performSkillCheck(actor, skill, mode) {
+  async performSkillCheck(actor, skill, mode, messageFlags = {}) {
     const event = this.createEvent(mode);
     const { advantage, disadvantage } = this.parseAdvantage(event);
     const speaker = this.getSpeaker(actor);
@@ -87,6 +99,9 @@ export class RollerV12 extends BaseRoller {
         {
           configure: false,
           messageConfig: { speaker: speaker }
+        },
+        {
+          data: { flags: messageFlags }
         }
       );
     } else if (actor.rollSkill) {
@@ -100,6 +115,9 @@ export class RollerV12 extends BaseRoller {
         {
           configure: false,
           messageConfig: { speaker: speaker }
+        },
+        {
+          data: { flags: messageFlags }
         }
       );
     } else {
@@ -107,22 +125,109 @@ export class RollerV12 extends BaseRoller {
     }
   }
 
+  /**
+   * Use an item through D&D5e v4's activity-based item.use()
+   * @param {Actor} actor - The actor using the item
+   * @param {Item} item - The item being used
+   * @param {string} mode - Roll mode (normal, advantage, disadvantage)
+   * @param {Object} options - { spellLevel, pact, consumeSpellSlot, consumeResources, activityId }
+   * @returns {Object} Card message ID and its buttons
+   */
+  async performItemUse(actor, item, mode, options = {}) {
+    const event = this.createEvent(mode);
+    const { advantage, disadvantage } = this.parseAdvantage(event);
+    
+    // Check if item can be used
+    if (!item.use) {
+      console.error(`Mage Hand | Item ${item.name} cannot be used`);
+      throw new Error(`Item ${item.name} cannot be used`);
+    }
+    
+    console.log(`Mage Hand | Using item ${item.name} for ${actor.name}`);
+    
+    // Set up hook to capture the item card
+    let messageResolve;
+    const messagePromise = new Promise(resolve => {
+      messageResolve = resolve;
+    });
+    
+    const hookId = Hooks.on('createChatMessage', (message) => {
+      if (message.speaker?.actor === actor.id && !message.rolls?.length) {
+        messageResolve(message);
+      }
+    });
+    
+    // D&D5e v4.x item.use() configuration
+    const usageConfig = {
+      legacy: false,
+      createMessage: true,
+      event: event,
+      advantage: advantage,
+      disadvantage: disadvantage
+    };
+    
+    // Upcasting or pact magic: pick the slot, scaling is the number of levels above base
+    const spellSlot = this.getSpellSlot(actor, item, options);
+    if (spellSlot) {
+      usageConfig.spell = { slot: spellSlot.slot };
+      usageConfig.scaling = Math.max(0, spellSlot.level - item.system.level);
+      console.log(`Mage Hand | Casting ${item.name} with slot ${spellSlot.slot} (level ${spellSlot.level})`);
+    }
+    
+    // Only override consumption the phone asked about, the activity knows its own defaults
+    const consume = {};
+    if (options.consumeSpellSlot !== undefined) consume.spellSlot = options.consumeSpellSlot;
+    if (options.consumeResources !== undefined) consume.resources = options.consumeResources;
+    if (Object.keys(consume).length) usageConfig.consume = consume;
+    
+    const dialogConfig = {
+      configure: false
+    };
+    
+    const messageConfig = {};
+    
+    // A chosen activity is used directly, item.use would run the first one
+    const activity = options.activityId ? this.getActivity(item, options.activityId) : null;
+    const result = activity
+      ? await activity.use(usageConfig, dialogConfig, messageConfig)
+      : await item.use(usageConfig, dialogConfig, messageConfig);
+    
+    // Wait for the card message, unless the use was refused
+    const message = result ? await Promise.race([
+      messagePromise,
+      new Promise(resolve => setTimeout(() => resolve(null), 2000))
+    ]) : null;
+    
+    // Clean up hook
+    Hooks.off('createChatMessage', hookId);
+    
+    if (!result) {
+      throw new Error(`${item.name} could not be used`);
+    }
+    
+    return {
+      messageId: message?.id || null,
+      buttons: message ? this.parseChatButtons(message) : [],
+      roll: null
+    };
+  }
+
   /**
    * Perform a direct attack roll using an item's activity
    * @param {Actor} actor - The actor making the attack
    * @param {Item} item - The item being used
    * @param {string} mode - Roll mode (normal, advantage, disadvantage)
+   * @param {Object} options - { ammunitionId, activityId } ammunition to fire, attack activity to roll
    * @returns {Object} Attack roll result with critical status
    */
-  async performAttackRoll(actor, item, mode) {
+  async performAttackRoll(actor, item, mode, options = {}) {
     const event = this.createEvent(mode);
     const { advantage, disadvantage } = this.parseAdvantage(event);
     
-    // Get the first attack activity from the item
-    let activity = null;
-    if (item.system?.activities) {
-      // Find the first attack activity
-      activity = Array.from(item.system.activities.values()).find(a => a.type === 'attack');
+    // Use the chosen activity, or the first attack activity on the item
+    const activity = this.getActivity(item, options.activityId, a => a.type === 'attack');
+    if (activity && activity.type !== 'attack') {
+      throw new Error(`Activity ${activity.name} on ${item.name} is not an attack`);
     }
     
     if (!activity) {
@@ -151,6 +256,11 @@ export class RollerV12 extends BaseRoller {
       disadvantage: disadvantage
     };
     
+    // Ammunition is chosen and spent by the attack, not by item.use
+    if (options.ammunitionId) {
+      rollConfig.ammunition = options.ammunitionId;
+    }
+    
     const dialogConfig = {
       configure: false
     };
@@ -297,7 +407,7 @@ export class RollerV12 extends BaseRoller {
     return null;
   }
 
-  async performDeathSave(actor, mode) {
+  async performDeathSave(actor, mode, messageFlags = {}) {
     const event = this.createEvent(mode);
     const { advantage, disadvantage } = this.parseAdvantage(event);
     
@@ -352,7 +462,28 @@ export class RollerV12 extends BaseRoller {
       },
       {
         speaker: this.getSpeaker(actor),
+        data: { flags: messageFlags }
       }
     );
   }
+
+  /**
+   * D&D5e v4 rolls through the roll configuration API and returns a
+   * list of rolls, null when no die of that size is left
+   */
+  async performHitDieRoll(actor, denomination) {
+    const rolls = await actor.rollHitDie(
+      { denomination },
+      { configure: false },
+      { speaker: this.getSpeaker(actor) }
+    );
+    return Array.isArray(rolls) ? rolls[0] ?? null : rolls;
+  }
+
+  async performRest(actor, type, { newDay } = {}) {
+    const config = { dialog: false, chat: true, autoHD: false };
+    if (typeof newDay === 'boolean') config.newDay = newDay;
+    
+    return type === 'long' ? actor.longRest(config) : actor.shortRest(config);
+  }
 }
\ No newline at end of file
@@ -12,7 +12,7 @@ export class RollerV13 extends BaseRoller {
     this.version = 'v13-dnd5e-v5';
   }
 
-  async performAbilityTest(actor, ability, mode) {
+  async performAbilityTest(actor, ability, mode, messageFlags = {}) {
     const event = this.createEvent(mode);
     const { advantage, disadvantage } = this.parseAdvantage(event);
     const speaker = this.getSpeaker(actor);
@@ -27,6 +27,9 @@ export class RollerV13 extends BaseRoller {
         {
           configure: false,
           messageConfig: { speaker: speaker }
+        },
+        {
+          data: { flags: messageFlags }
         }
       );
     } else {
@@ -34,21 +37,26 @@ export class RollerV13 extends BaseRoller {
     }
   }
 
-  async performAbilitySave(actor, ability, mode) {
+  async performAbilitySave(actor, ability, mode, messageFlags = {}, options = {}) {
     const event = this.createEvent(mode);
     const { advantage, disadvantage } = this.parseAdvantage(event);
     const speaker = this.getSpeaker(actor);
+    const saveConfig = this.getSaveConfig(actor, options);
     
     if (actor.rollSavingThrow) {
       await actor.rollSavingThrow(
         {
           ability: ability,
           advantage: advantage,
-          disadvantage: disadvantage
+          disadvantage: disadvantage,
+          ...saveConfig
         },
         {
           configure: false,
           messageConfig: { speaker: speaker }
+        },
+        {
+          data: { flags: messageFlags }
         }
       );
     } else {
@@ -56,7 +64,7 @@ export class RollerV13 extends BaseRoller {
     }
   }
 
-  async performSkillCheck(actor, skill, mode) {
+  async performSkillCheck(actor, skill, mode, messageFlags = {}) {
     const event = this.createEvent(mode);
     const { advantage, disadvantage } = this.parseAdvantage(event);
     const speaker = this.getSpeaker(actor);
@@ -72,6 +80,9 @@ export class RollerV13 extends BaseRoller {
         {
           configure: false,
           messageConfig: { speaker: speaker }
+        },
+        {
+          data: { flags: messageFlags }
         }
       );
     } else if (actor.rollSkillCheck) {
@@ -85,6 +96,9 @@ export class RollerV13 extends BaseRoller {
         {
           configure: false,
           messageConfig: { speaker: speaker }
+        },
+        {
+          data: { flags: messageFlags }
         }
       );
     } else {
@@ -92,7 +106,7 @@ export class RollerV13 extends BaseRoller {
     }
   }
 
-  async performItemUse(actor, item, mode) {
+  async performItemUse(actor, item, mode, options = {}) {
     const event = this.createEvent(mode);
     const { advantage, disadvantage } = this.parseAdvantage(event);
     
@@ -156,6 +170,20 @@ export class RollerV13 extends BaseRoller {
       disadvantage: disadvantage
     };
     
+    // Upcasting or pact magic: pick the slot, scaling is the number of levels above base
+    const spellSlot = this.getSpellSlot(actor, item, options);
+    if (spellSlot) {
+      usageConfig.spell = { slot: spellSlot.slot };
+      usageConfig.scaling = Math.max(0, spellSlot.level - item.system.level);
+      console.log(`Mage Hand | Casting ${item.name} with slot ${spellSlot.slot} (level ${spellSlot.level})`);
+    }
+    
+    // Only override consumption the phone asked about, the activity knows its own defaults
+    const consume = {};
+    if (options.consumeSpellSlot !== undefined) consume.spellSlot = options.consumeSpellSlot;
+    if (options.consumeResources !== undefined) consume.resources = options.consumeResources;
+    if (Object.keys(consume).length) usageConfig.consume = consume;
+    
     const dialogConfig = {
       configure: false,   // Skip dialog
       skipDialog: true    // Additional flag to skip all dialogs
@@ -171,8 +199,12 @@ export class RollerV13 extends BaseRoller {
       }
     } : {};
     
-    // Use the item with all three config objects
-    const result = await item.use(usageConfig, dialogConfig, messageConfig);
+    // Use the item with all three config objects; a chosen activity is used
+    // directly, item.use would run the first one
+    const activity = options.activityId ? this.getActivity(item, options.activityId) : null;
+    const result = activity
+      ? await activity.use(usageConfig, dialogConfig, messageConfig)
+      : await item.use(usageConfig, dialogConfig, messageConfig);
     
     // Wait for the card message
     const itemCardMessage = await Promise.race([
@@ -214,12 +246,11 @@ export class RollerV13 extends BaseRoller {
         
         console.log(`Mage Hand | Extracted attack roll: ${rollData.formula} = ${rollData.total}`);
         
-        // Check if the item's first activity is an attack activity
+        // Check if the activity used (the first one unless chosen) is an attack activity
         // In D&D5e v4+, items have an activities collection
         let firstActivityIsAttack = false;
         if (item.system?.activities) {
-          // Get the first activity
-          const firstActivity = item.system.activities.contents?.[0] || 
+          const firstActivity = activity || item.system.activities.contents?.[0] || 
                                Array.from(item.system.activities.values())[0];
           if (firstActivity?.type === 'attack') {
             firstActivityIsAttack = true;
@@ -257,17 +288,17 @@ export class RollerV13 extends BaseRoller {
    * @param {Actor} actor - The actor making the attack
    * @param {Item} item - The item being used
    * @param {string} mode - Roll mode (normal, advantage, disadvantage)
+   * @param {Object} options - { ammunitionId, activityId } ammunition to fire, attack activity to roll
    * @returns {Object} Attack roll result with critical status
    */
-  async performAttackRoll(actor, item, mode) {
+  async performAttackRoll(actor, item, mode, options = {}) {
     const event = this.createEvent(mode);
     const { advantage, disadvantage } = this.parseAdvantage(event);
     
-    // Get the first attack activity from the item
-    let activity = null;
-    if (item.system?.activities) {
-      // Find the first attack activity
-      activity = Array.from(item.system.activities.values()).find(a => a.type === 'attack');
+    // Use the chosen activity, or the first attack activity on the item
+    const activity = this.getActivity(item, options.activityId, a => a.type === 'attack');
+    if (activity && activity.type !== 'attack') {
+      throw new Error(`Activity ${activity.name} on ${item.name} is not an attack`);
     }
     
     if (!activity) {
@@ -296,6 +327,11 @@ export class RollerV13 extends BaseRoller {
       disadvantage: disadvantage
     };
     
+    // Ammunition is chosen and spent by the attack, not by item.use
+    if (options.ammunitionId) {
+      rollConfig.ammunition = options.ammunitionId;
+    }
+    
     const dialogConfig = {
       configure: false
     };
@@ -442,7 +478,23 @@ export class RollerV13 extends BaseRoller {
     return null;
   }
 
-  async performDeathSave(actor, mode) {
+  /**
+   * Replace the user's token targets
+   * v13 moved targeting onto the token layer, updateTokenTargets is deprecated
+   */
+  async setTargets(targetIds) {
+    if (!Array.isArray(targetIds) || !canvas?.tokens) return 0;
+    
+    const ids = targetIds.filter(id => canvas.tokens.get(id));
+    if (ids.length < targetIds.length) {
+      console.warn(`Mage Hand | ${targetIds.length - ids.length} target(s) not found on the current scene`);
+    }
+    
+    canvas.tokens.setTargets(ids, { mode: 'replace' });
+    return ids.length;
+  }
+
+  async performDeathSave(actor, mode, messageFlags = {}) {
     const event = this.createEvent(mode);
     const { advantage, disadvantage } = this.parseAdvantage(event);
     
@@ -494,8 +546,29 @@ export class RollerV13 extends BaseRoller {
         configure: false  // Skip dialog
       },
       {
-        speaker: this.getSpeaker(actor)
+        speaker: this.getSpeaker(actor),
+        data: { flags: messageFlags }
       }
     );
   }
+
+  /**
+   * D&D5e v5 rolls through the roll configuration API and returns a
+   * list of rolls, null when no die of that size is left
+   */
+  async performHitDieRoll(actor, denomination) {
+    const rolls = await actor.rollHitDie(
+      { denomination },
+      { configure: false },
+      { speaker: this.getSpeaker(actor) }
+    );
+    return Array.isArray(rolls) ? rolls[0] ?? null : rolls;
+  }
+
+  async performRest(actor, type, { newDay } = {}) {
+    const config = { dialog: false, chat: true, autoHD: false };
+    if (typeof newDay === 'boolean') config.newDay = newDay;
+    
+    return type === 'long' ? actor.longRest(config) : actor.shortRest(config);
+  }
 }
\ No newline at end of file
@@ -3,12 +3,88 @@
  * This file is the single source of truth for schema versions and their capabilities
  */
 
+// Features of the first schema, which later versions build on
+const V1_FEATURES = [
+  'core-identity',      // name, id, type, img
+  'character-details',  // classes, race, background
+  'combat-stats',       // hp, ac, initiative, conditions
+  'abilities',          // STR, DEX, CON, INT, WIS, CHA
+  'skills',            // all skill proficiencies and modifiers
+  'spell-slots',       // spell slot tracking
+  'spells',            // known/prepared spells
+  'weapons',           // weapon items with attack/damage
+  'death-saves',       // death save tracking
+  'exhaustion',        // exhaustion levels
+  'movement',          // movement speeds
+  'senses'             // darkvision, blindsight, etc.
+];
+
+const V2_FEATURES = [
+  ...V1_FEATURES,
+  'inventory-items',   // every physical item, not just weapons
+  'containers',        // items nested in containers
+  'currency',          // coins by denomination
+  'encumbrance'        // carried weight against capacity
+];
+
+const V21_FEATURES = [
+  ...V2_FEATURES,
+  'class-features',    // class, subclass, race and background features
+  'feats',             // character feats
+  'resources'          // Ki points, Channel Divinity, legacy resources
+];
+
+// Spell fields added in v2.2.0
+const V22_SPELL_FIELDS = ['preparation', 'save'];
+
+// Drop the changes under some top-level sections from a diff
+function omitSections(diff, sections) {
+  return Object.fromEntries(Object.entries(diff).filter(([path]) => 
+    !sections.includes(path.split('.')[0])
+  ));
+}
+
+function omitFields(entry, fields) {
+  if (!entry || typeof entry !== 'object') return entry;
+  return Object.fromEntries(Object.entries(entry).filter(([key]) => !fields.includes(key)));
+}
+
+// Drop fields from the entries of an array section in a diff: from added
+// entries, from patches (dropping patches left empty) and from whole arrays
+function omitEntryFields(diff, section, fields) {
+  const change = diff[section];
+  if (!change) return diff;
+  
+  const strip = entries => Array.isArray(entries) ? entries.map(entry => omitFields(entry, fields)) : entries;
+  const result = { ...diff };
+  
+  if (change.type === 'array') {
+    const ops = change.ops.map(op => {
+      if (op.op === 'add') return { ...op, value: omitFields(op.value, fields) };
+      if (op.op !== 'patch') return op;
+      
+      const patch = omitSections(op.diff, fields);
+      return Object.keys(patch).length > 0 ? { ...op, diff: patch } : null;
+    }).filter(Boolean);
+    
+    if (ops.length > 0) {
+      result[section] = { ...change, ops };
+    } else {
+      delete result[section];
+    }
+  } else {
+    result[section] = { ...change, old: strip(change.old), value: strip(change.value) };
+  }
+  
+  return result;
+}
+
 export class SchemaRegistry {
   /**
    * Current schema version - Uses semantic versioning
    * @type {string}
    */
-  static CURRENT_VERSION = "1.0.0";
+  static CURRENT_VERSION = "2.2.0";
 
   /**
    * Schema definitions for each version
@@ -19,20 +95,7 @@ export class SchemaRegistry {
       version: "1.0.0",
       name: 'Combat Focus',
       released: '2024-01-01',
-      features: [
-        'core-identity',      // name, id, type, img
-        'character-details',  // classes, race, background
-        'combat-stats',       // hp, ac, initiative, conditions
-        'abilities',          // STR, DEX, CON, INT, WIS, CHA
-        'skills',            // all skill proficiencies and modifiers
-        'spell-slots',       // spell slot tracking
-        'spells',            // known/prepared spells
-        'weapons',           // weapon items with attack/damage
-        'death-saves',       // death save tracking
-        'exhaustion',        // exhaustion levels
-        'movement',          // movement speeds
-        'senses'             // darkvision, blindsight, etc.
-      ],
+      features: V1_FEATURES,
       changes: [
         'Initial release',
         'Full combat data extraction',
@@ -40,34 +103,85 @@ export class SchemaRegistry {
         'Condition tracking'
       ]
     },
-    // Future versions will be added here
-    // "2.0.0": {
-    //   version: "2.0.0",
-    //   name: 'Inventory Expansion',
-    //   released: '2024-XX-XX',
-    //   features: [
-    //     ...SCHEMAS["1.0.0"].features,
-    //     'inventory-items',     // all items not just weapons
-    //     'class-features',      // class and subclass features
-    //     'feats',              // character feats
-    //     'resources'           // class resources, ki points, etc.
-    //   ],
-    //   changes: [
-    //     'Added full inventory extraction',
-    //     'Added class features and feats',
-    //     'Added resource tracking'
-    //   ],
-    //   migration: (v1Data) => {
-    //     // Migration function from v1 to v2
-    //     return {
-    //       ...v1Data,
-    //       _v: "2.0.0",
-    //       inventory: [],
-    //       features: [],
-    //       resources: {}
-    //     };
-    //   }
-    // }
+    "2.0.0": {
+      version: "2.0.0",
+      name: 'Inventory Expansion',
+      released: '2026-10-19',
+      features: V2_FEATURES,
+      changes: [
+        'Added full inventory extraction',
+        'Added currency',
+        'Added encumbrance'
+      ],
+      migration: (v1Data) => {
+        // Migration function from v1 to v2
+        return {
+          ...v1Data,
+          _v: "2.0.0",
+          inventory: [],
+          currency: { pp: 0, gp: 0, ep: 0, sp: 0, cp: 0 },
+          encumbrance: { value: 0, max: 0, pct: 0, status: 'unencumbered' }
+        };
+      },
+      downgrade: (v2Data) => {
+        // Serves v1 phones: v2 only adds top-level sections
+        const { inventory, currency, encumbrance, ...v1Data } = v2Data;
+        return { ...v1Data, _v: "1.0.0" };
+      },
+      downgradeDiff: (diff) => omitSections(diff, ['inventory', 'currency', 'encumbrance'])
+    },
+    "2.1.0": {
+      version: "2.1.0",
+      name: 'Features & Resources',
+      released: '2026-10-19',
+      features: V21_FEATURES,
+      changes: [
+        'Added class features and feats',
+        'Added resource tracking'
+      ],
+      migration: (v2Data) => {
+        return {
+          ...v2Data,
+          _v: "2.1.0",
+          features: [],
+          resources: []
+        };
+      },
+      downgrade: (v21Data) => {
+        const { features, resources, ...v2Data } = v21Data;
+        return { ...v2Data, _v: "2.0.0" };
+      },
+      downgradeDiff: (diff) => omitSections(diff, ['features', 'resources'])
+    },
+    "2.2.0": {
+      version: "2.2.0",
+      name: 'Spellcasting',
+      released: '2026-10-19',
+      features: [
+        ...V21_FEATURES,
+        'spellcasting',      // per-class ability, DC, attack and limits
+        'spell-saves'        // save ability and DC on each spell
+      ],
+      changes: [
+        'Added per-class spellcasting',
+        'Added preparation mode and save to spells'
+      ],
+      migration: (v21Data) => {
+        return {
+          ...v21Data,
+          _v: "2.2.0",
+          spellcasting: []
+        };
+      },
+      downgrade: (v22Data) => {
+        const { spellcasting, ...v21Data } = v22Data;
+        if (v21Data.spells) {
+          v21Data.spells = v21Data.spells.map(spell => omitFields(spell, V22_SPELL_FIELDS));
+        }
+        return { ...v21Data, _v: "2.1.0" };
+      },
+      downgradeDiff: (diff) => omitEntryFields(omitSections(diff, ['spellcasting']), 'spells', V22_SPELL_FIELDS)
+    }
   };
 
   /**
@@ -197,13 +311,15 @@ export class SchemaRegistry {
 
   /**
    * Check if migration path exists between versions
+   * Going up needs each newer version's migration, going down (to serve
+   * older clients) needs each newer version's downgrade.
    * @param {string} fromVersion - Starting version
    * @param {string} toVersion - Target version
    * @returns {boolean} True if migration is possible
    */
   static canMigrate(fromVersion, toVersion) {
     const comparison = this.compareVersions(fromVersion, toVersion);
-    if (comparison >= 0) return false; // Can't migrate backwards or to same version
+    if (comparison === 0) return false; // Nothing to migrate
     
     const versions = this.getVersionsInOrder();
     const fromIndex = versions.indexOf(fromVersion);
@@ -212,9 +328,11 @@ export class SchemaRegistry {
     if (fromIndex === -1 || toIndex === -1) return false;
     
     // Check if all intermediate versions have migration functions
-    for (let i = fromIndex + 1; i <= toIndex; i++) {
+    const step = comparison < 0 ? 'migration' : 'downgrade';
+    const [low, high] = comparison < 0 ? [fromIndex, toIndex] : [toIndex, fromIndex];
+    for (let i = low + 1; i <= high; i++) {
       const schema = this.getSchema(versions[i]);
-      if (!schema || !schema.migration) {
+      if (!schema || !schema[step]) {
         return false;
       }
     }
@@ -223,6 +341,7 @@ export class SchemaRegistry {
 
   /**
    * Migrate data from one schema version to another
+   * Older target versions are reached through each version's downgrade.
    * @param {Object} data - Data to migrate
    * @param {string} targetVersion - Target schema version
    * @returns {Object} Migrated data
@@ -259,9 +378,74 @@ export class SchemaRegistry {
       migratedData._v = nextVersion;
     }
     
+    // Or downgrades, newest first
+    for (let i = currentIndex; i > targetIndex; i--) {
+      const schema = this.getSchema(versions[i]);
+      
+      if (!schema.downgrade) {
+        throw new Error(`No migration path from v${versions[i]} to v${versions[i-1]}`);
+      }
+      
+      migratedData = schema.downgrade(migratedData);
+      migratedData._v = versions[i-1];
+    }
+    
     return migratedData;
   }
 
+  /**
+   * Migrate a diff between two documents down to an older schema version
+   * @param {Object} diff - Diff produced by deepDiff, keyed by path
+   * @param {string} fromVersion - Schema version of the diffed documents
+   * @param {string} targetVersion - Older schema version
+   * @returns {Object} The diff as the older version sees it
+   */
+  static migrateDiff(diff, fromVersion, targetVersion) {
+    const versions = this.getVersionsInOrder();
+    const fromIndex = versions.indexOf(fromVersion);
+    const targetIndex = versions.indexOf(targetVersion);
+    
+    if (fromIndex === -1 || targetIndex === -1 || targetIndex > fromIndex) {
+      throw new Error(`Cannot migrate a diff from v${fromVersion} to v${targetVersion}`);
+    }
+    
+    let migratedDiff = diff;
+    for (let i = fromIndex; i > targetIndex; i--) {
+      const schema = this.getSchema(versions[i]);
+      
+      if (!schema.downgradeDiff) {
+        throw new Error(`No diff migration from v${versions[i]} to v${versions[i-1]}`);
+      }
+      
+      migratedDiff = schema.downgradeDiff(migratedDiff);
+    }
+    
+    return migratedDiff;
+  }
+
+  /**
+   * Check if clients on a schema version can be served from current data
+   * @param {string} version - Client's schema version
+   * @returns {boolean} True for the current version or one it migrates down to
+   */
+  static canServe(version) {
+    if (version === this.CURRENT_VERSION) return true;
+    
+    const versions = this.getVersionsInOrder();
+    return versions.includes(version) &&
+      this.compareVersions(version, this.CURRENT_VERSION) < 0 &&
+      this.canMigrate(this.CURRENT_VERSION, version) &&
+      versions.slice(versions.indexOf(version) + 1).every(v => this.getSchema(v).downgradeDiff);
+  }
+
+  /**
+   * Get all schema versions clients can use, oldest first
+   * @returns {Array<string>} Versions accepted by canServe
+   */
+  static getServableVersions() {
+    return this.getVersionsInOrder().filter(v => this.canServe(v));
+  }
+
   /**
    * Get schema metadata for connection handshake
    * @returns {Object} Schema metadata
@@ -278,7 +462,8 @@ export class SchemaRegistry {
       canMigrateFrom: allVersions.filter(v => 
         this.compareVersions(v, this.CURRENT_VERSION) < 0 && 
         this.canMigrate(v, this.CURRENT_VERSION)
-      )
+      ),
+      servableVersions: this.getServableVersions()
     };
   }
 
@@ -299,9 +484,9 @@ export class SchemaRegistry {
       warnings.push(`Schema version mismatch: expected v${version}, got v${data._v}`);
     }
     
-    // Check required base fields for v1.0.0
-    if (version === "1.0.0") {
-      const requiredFields = ['id', 'name', 'type'];
+    // Check required base fields for v1.0.0 and later
+    if (this.compareVersions(version, "1.0.0") >= 0) {
+      const requiredFields = ['_id', 'name', 'type'];
       for (const field of requiredFields) {
         if (!data[field]) {
           errors.push(`Missing required field: ${field}`);
@@ -314,6 +499,24 @@ export class SchemaRegistry {
       if (!data.skills) errors.push('Missing skills data');
     }
     
+    // Check inventory structures for v2.0.0 and later
+    if (this.compareVersions(version, "2.0.0") >= 0) {
+      if (!Array.isArray(data.inventory)) errors.push('Missing inventory data');
+      if (!data.currency) errors.push('Missing currency data');
+      if (!data.encumbrance) errors.push('Missing encumbrance data');
+    }
+    
+    // Check feature structures for v2.1.0 and later
+    if (this.compareVersions(version, "2.1.0") >= 0) {
+      if (!Array.isArray(data.features)) errors.push('Missing features data');
+      if (!Array.isArray(data.resources)) errors.push('Missing resources data');
+    }
+    
+    // Check spellcasting for v2.2.0 and later
+    if (this.compareVersions(version, "2.2.0") >= 0) {
+      if (!Array.isArray(data.spellcasting)) errors.push('Missing spellcasting data');
+    }
+    
     return {
       valid: errors.length === 0,
       errors,
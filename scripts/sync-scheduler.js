@@ -0,0 +1,181 @@
+/**
+ * Sync Scheduler for Mage Hand Module
+ * Coalesces bursts of actor, item and effect hooks into a single extraction
+ * and a single update message per actor
+ */
+
+import { logger } from './utils/logger.js';
+
+export class SyncScheduler {
+  // Actor update paths that bypass the window so the phone sees them at once
+  static URGENT_PATHS = [
+    'system.attributes.hp',
+    'system.attributes.death',
+    'system.attributes.exhaustion'
+  ];
+
+  /**
+   * Check whether an updateActor change touches a latency-sensitive field
+   */
+  static isUrgentChange(changes) {
+    if (!changes) return false;
+    return SyncScheduler.URGENT_PATHS.some(path => foundry.utils.hasProperty(changes, path));
+  }
+
+  /**
+   * Check whether an active effect is a status condition
+   */
+  static isCondition(effect) {
+    return (effect?.statuses?.size || 0) > 0;
+  }
+
+  /**
+   * Combine the affected sections of two changes (null means everything)
+   */
+  static mergeSections(a, b) {
+    if (!a || !b) return null;
+    return Array.from(new Set([...a, ...b]));
+  }
+
+  constructor(mageHand, window = 100) {
+    // Store reference to the module, which does the actual extraction
+    this.mageHand = mageHand;
+    
+    // Quiet period (ms) a burst must settle for before it is flushed.
+    // A busy actor is still flushed after maxWaitFactor windows.
+    this.window = window;
+    this.maxWaitFactor = 4;
+    
+    // Pending syncs by actor ID
+    this.pending = new Map();
+    
+    this.metrics = {
+      requests: 0,
+      extractions: 0,
+      partial: 0,
+      immediate: 0
+    };
+    
+    this.log = logger.child('SyncScheduler');
+    this.log.verbose(`Sync scheduler initialized with ${window}ms window`);
+  }
+
+  /**
+   * Set the coalescing window, 0 disables batching
+   */
+  setWindow(window) {
+    this.window = Math.max(0, Number(window) || 0);
+    this.log.verbose(`Sync window set to ${this.window}ms`);
+  }
+
+  /**
+   * Request a sync for an actor
+   * @param {Actor} actor - Actor that changed
+   * @param {Object} options
+   * @param {boolean} options.immediate - Skip the window, for latency-sensitive
+   *   changes such as HP and conditions
+   * @param {Array<string>|null} options.sections - Sections affected by the
+   *   change, or null (default) to re-extract the whole actor
+   */
+  schedule(actor, { immediate = false, sections = null } = {}) {
+    this.metrics.requests++;
+    
+    let entry = this.pending.get(actor.id);
+    
+    if (entry) {
+      clearTimeout(entry.timer);
+      entry.actor = actor;
+      entry.count++;
+      entry.sections = SyncScheduler.mergeSections(entry.sections, sections);
+    } else {
+      entry = { actor, count: 1, firstQueued: Date.now(), sections };
+      this.pending.set(actor.id, entry);
+    }
+    
+    if (immediate || this.window === 0) {
+      if (immediate) this.metrics.immediate++;
+      this.flush(actor.id);
+      return;
+    }
+    
+    const now = Date.now();
+    
+    // Restart the window, but never past the maximum wait for the burst
+    const deadline = entry.firstQueued + this.window * this.maxWaitFactor;
+    const delay = Math.max(0, Math.min(this.window, deadline - now));
+    entry.timer = setTimeout(() => this.flush(actor.id), delay);
+  }
+
+  /**
+   * Run the pending sync for an actor now
+   * @param {string} actorId - Actor ID
+   */
+  flush(actorId) {
+    const entry = this.pending.get(actorId);
+    if (!entry) return;
+    
+    this.cancel(actorId);
+    this.log.debug(`Flushing ${entry.count} coalesced change(s) for ${entry.actor.name}:`, entry.sections || 'all sections');
+    
+    this.metrics.extractions++;
+    if (entry.sections) this.metrics.partial++;
+    this.mageHand.handleActorUpdate(entry.actor, {}, entry.sections);
+  }
+
+  /**
+   * Flush every pending sync
+   */
+  flushAll() {
+    for (const actorId of Array.from(this.pending.keys())) {
+      this.flush(actorId);
+    }
+  }
+
+  /**
+   * Drop a pending sync without running it (e.g. the actor was just extracted)
+   */
+  cancel(actorId) {
+    const entry = this.pending.get(actorId);
+    if (!entry) return;
+    
+    clearTimeout(entry.timer);
+    this.pending.delete(actorId);
+  }
+
+  /**
+   * Drop every pending sync
+   */
+  cancelAll() {
+    for (const entry of this.pending.values()) {
+      clearTimeout(entry.timer);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Get scheduler metrics
+   * saved is the number of extractions avoided by coalescing, partial the
+   * number of extractions that only recomputed some sections
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      pending: this.pending.size,
+      saved: Math.max(0, this.metrics.requests - this.metrics.extractions - this.pending.size),
+      window: this.window
+    };
+  }
+
+  /**
+   * Reset metrics
+   */
+  resetMetrics() {
+    this.metrics = {
+      requests: 0,
+      extractions: 0,
+      partial: 0,
+      immediate: 0
+    };
+    this.log.info('Sync metrics reset');
+  }
+}
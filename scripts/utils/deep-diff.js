@@ -17,14 +17,7 @@ export function deepDiff(oldObj, newObj, path = '') {
   }
   
   if (Array.isArray(oldObj) && Array.isArray(newObj)) {
-    if (JSON.stringify(oldObj) !== JSON.stringify(newObj)) {
-      return {
-        type: 'update',
-        old: oldObj,
-        value: newObj
-      };
-    }
-    return diff;
+    return diffArray(oldObj, newObj) || diff;
   }
   
   const allKeys = new Set([
@@ -56,12 +49,9 @@ export function deepDiff(oldObj, newObj, path = '') {
         };
       }
     } else if (Array.isArray(oldValue) || Array.isArray(newValue)) {
-      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
-        diff[currentPath] = {
-          type: 'update',
-          old: oldValue,
-          value: newValue
-        };
+      const arrayDiff = diffArray(oldValue, newValue);
+      if (arrayDiff) {
+        diff[currentPath] = arrayDiff;
       }
     } else if (typeof oldValue === 'object' && typeof newValue === 'object') {
       const nestedDiff = deepDiff(oldValue, newValue, currentPath);
@@ -72,6 +62,110 @@ export function deepDiff(oldObj, newObj, path = '') {
   return diff;
 }
 
+// Arrays of entities with stable ids (spells, weapons, conditions, classes)
+// are diffed by id into a list of operations, replayed in order by applyDiff:
+//   { op: 'remove', id }
+//   { op: 'add', index, value }
+//   { op: 'move', id, index }
+//   { op: 'patch', id, diff }   - diff is a deepDiff of the entry itself
+// Any other array is sent whole when it changes.
+function diffArray(oldArr, newArr) {
+  if (JSON.stringify(oldArr) === JSON.stringify(newArr)) {
+    return null;
+  }
+  
+  if (!isKeyedArray(oldArr) || !isKeyedArray(newArr)) {
+    return {
+      type: 'update',
+      old: oldArr,
+      value: newArr
+    };
+  }
+  
+  const ops = [];
+  const oldById = new Map(oldArr.map(entry => [entry.id, entry]));
+  const newIds = new Set(newArr.map(entry => entry.id));
+  
+  // Removals first, so the working order only holds surviving entries
+  const order = [];
+  for (const entry of oldArr) {
+    if (newIds.has(entry.id)) {
+      order.push(entry.id);
+    } else {
+      ops.push({ op: 'remove', id: entry.id });
+    }
+  }
+  
+  // Walk the new order, inserting or moving entries into place
+  newArr.forEach((entry, index) => {
+    if (order[index] === entry.id) return;
+    
+    const currentIndex = order.indexOf(entry.id, index);
+    if (currentIndex === -1) {
+      ops.push({ op: 'add', index, value: entry });
+    } else {
+      order.splice(currentIndex, 1);
+      ops.push({ op: 'move', id: entry.id, index });
+    }
+    order.splice(index, 0, entry.id);
+  });
+  
+  for (const entry of newArr) {
+    const oldEntry = oldById.get(entry.id);
+    if (!oldEntry) continue;
+    
+    const entryDiff = deepDiff(oldEntry, entry);
+    if (Object.keys(entryDiff).length > 0) {
+      ops.push({ op: 'patch', id: entry.id, diff: entryDiff });
+    }
+  }
+  
+  return {
+    type: 'array',
+    ops: ops
+  };
+}
+
+function isKeyedArray(arr) {
+  if (!Array.isArray(arr)) return false;
+  
+  const ids = new Set();
+  for (const entry of arr) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return false;
+    if (typeof entry.id !== 'string' || !entry.id || ids.has(entry.id)) return false;
+    ids.add(entry.id);
+  }
+  return true;
+}
+
+function applyArrayOps(arr, ops) {
+  const result = Array.isArray(arr) ? arr : [];
+  
+  for (const op of ops) {
+    const index = op.id !== undefined ? result.findIndex(entry => entry.id === op.id) : -1;
+    
+    switch (op.op) {
+      case 'remove':
+        if (index !== -1) result.splice(index, 1);
+        break;
+      case 'add':
+        result.splice(op.index, 0, op.value);
+        break;
+      case 'move':
+        if (index !== -1) {
+          const [entry] = result.splice(index, 1);
+          result.splice(op.index, 0, entry);
+        }
+        break;
+      case 'patch':
+        if (index !== -1) result[index] = applyDiff(result[index], op.diff);
+        break;
+    }
+  }
+  
+  return result;
+}
+
 function isPrimitive(value) {
   return value === null || 
          value === undefined || 
@@ -104,6 +198,9 @@ export function applyDiff(target, diff) {
       case 'delete':
         delete current[lastKey];
         break;
+      case 'array':
+        current[lastKey] = applyArrayOps(current[lastKey], change.ops);
+        break;
     }
   });
   
@@ -0,0 +1,304 @@
+/**
+ * Enriched Text for Mage Hand Module
+ * Turns the enriched HTML of item descriptions into blocks and inline tokens
+ * the phone can lay out natively, with rolls and links it can make tappable.
+ *
+ * Blocks:
+ *   { type: 'paragraph', content }
+ *   { type: 'heading', level, content }
+ *   { type: 'list', ordered, items: [content] }
+ *   { type: 'table', rows: [[content]] }
+ *   { type: 'quote', blocks }
+ *   { type: 'rule' }
+ * Content is an array of tokens:
+ *   { type: 'text', text, bold, italic }               - bold/italic only when set
+ *   { type: 'roll', formula, label }                   - [[/r 1d6]], [[1d6]]
+ *   { type: 'damage', formula, damageType, label }     - [[/damage 2d6 fire]]
+ *   { type: 'check', save, ability, skill, dc, label } - [[/save dex 15]], [[/check prc]]
+ *   { type: 'link', uuid, label }                      - @UUID[...]{label}
+ *   { type: 'reference', key, label }                  - &Reference[prone]
+ */
+
+export class EnrichedText {
+  // Elements laid out as blocks; anything else is inline
+  static BLOCK_TAGS = new Set([
+    'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'table', 'blockquote', 'hr',
+    'div', 'section', 'article', 'aside', 'header', 'footer', 'figure'
+  ]);
+
+  // Elements with nothing the phone can show
+  static DROPPED_TAGS = new Set([
+    'script', 'style', 'iframe', 'img', 'video', 'audio', 'object', 'embed', 'svg', 'template', 'form', 'input', 'button'
+  ]);
+
+  static ROLL_COMMANDS = ['r', 'roll', 'pr', 'publicroll', 'gmr', 'gmroll', 'br', 'blindroll', 'sr', 'selfroll'];
+  static DAMAGE_COMMANDS = ['damage', 'heal', 'healing'];
+  static CHECK_COMMANDS = ['check', 'save', 'skill', 'tool', 'ability'];
+
+  // [[/command args]]{label}, [[inline roll]]{label}, @UUID[uuid]{label}
+  // (and the older @Item[id] style) and &Reference[key]{label}
+  static PATTERN = /\[\[\/(\w+)\s*([^\]]*?)\]\](?:\{([^}]*)\})?|\[\[([^\[\]]+?)\]\](?:\{([^}]*)\})?|@(UUID|Compendium|Actor|Item|JournalEntry|RollTable|Scene|Macro)\[([^\]]+)\](?:\{([^}]*)\})?|&Reference\[([^\]]+)\](?:\{([^}]*)\})?/g;
+
+  /**
+   * Parse enriched HTML into blocks
+   * @param {string} html - Raw description HTML, before TextEditor enrichment
+   * @param {Object} options
+   * @param {Object} options.rollData - Data to resolve @ references in rolls
+   * @returns {Array<Object>} Blocks
+   */
+  static parse(html, { rollData = {} } = {}) {
+    if (!html) return [];
+
+    // A parsed document is inert: no scripts run and no images load
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return this.parseBlocks(doc.body, rollData);
+  }
+
+  static parseBlocks(parent, rollData) {
+    const blocks = [];
+    let loose = [];
+
+    // Inline content between blocks becomes a paragraph of its own
+    const flush = () => {
+      const content = this.trimContent(loose);
+      if (content.length > 0) blocks.push({ type: 'paragraph', content });
+      loose = [];
+    };
+
+    for (const node of parent.childNodes) {
+      const tag = node.nodeType === Node.ELEMENT_NODE ? node.tagName.toLowerCase() : null;
+      if (!tag || !this.BLOCK_TAGS.has(tag)) {
+        loose.push(...this.parseInline(node, rollData));
+        continue;
+      }
+
+      flush();
+      const block = this.parseBlock(node, tag, rollData);
+      if (Array.isArray(block)) {
+        blocks.push(...block);
+      } else if (block) {
+        blocks.push(block);
+      }
+    }
+
+    flush();
+    return blocks;
+  }
+
+  static parseBlock(node, tag, rollData) {
+    switch (tag) {
+      case 'p': {
+        const content = this.trimContent(this.parseInline(node, rollData));
+        return content.length > 0 ? { type: 'paragraph', content } : null;
+      }
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+        return { type: 'heading', level: Number(tag[1]), content: this.trimContent(this.parseInline(node, rollData)) };
+      case 'ul':
+      case 'ol': {
+        const items = Array.from(node.children)
+          .filter(child => child.tagName.toLowerCase() === 'li')
+          .map(li => this.trimContent(this.parseInline(li, rollData)));
+        return { type: 'list', ordered: tag === 'ol', items };
+      }
+      case 'table': {
+        const rows = Array.from(node.querySelectorAll('tr')).map(tr =>
+          Array.from(tr.children).map(cell => this.trimContent(this.parseInline(cell, rollData)))
+        );
+        return { type: 'table', rows };
+      }
+      case 'blockquote':
+        return { type: 'quote', blocks: this.parseBlocks(node, rollData) };
+      case 'hr':
+        return { type: 'rule' };
+      default:
+        // Containers such as div and section
+        return this.parseBlocks(node, rollData);
+    }
+  }
+
+  /**
+   * Parse a node's inline content into tokens
+   */
+  static parseInline(node, rollData, style = {}) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return this.tokenize(node.textContent.replace(/\s+/g, ' '), rollData, style);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return [];
+
+    const tag = node.tagName.toLowerCase();
+    if (this.DROPPED_TAGS.has(tag)) return [];
+    if (tag === 'br') return [this.textToken('\n', style)];
+
+    const childStyle = { ...style };
+    if (tag === 'strong' || tag === 'b') childStyle.bold = true;
+    if (tag === 'em' || tag === 'i') childStyle.italic = true;
+
+    const tokens = [];
+    for (const child of node.childNodes) {
+      tokens.push(...this.parseInline(child, rollData, childStyle));
+    }
+
+    // Block elements nested in inline content (e.g. a list in a table cell)
+    // still break the line
+    if (this.BLOCK_TAGS.has(tag) && tokens.length > 0) tokens.push(this.textToken('\n', style));
+    return tokens;
+  }
+
+  /**
+   * Split text into plain text and roll, link and reference tokens
+   */
+  static tokenize(text, rollData, style) {
+    const tokens = [];
+    let last = 0;
+
+    for (const match of text.matchAll(this.PATTERN)) {
+      if (match.index > last) tokens.push(this.textToken(text.slice(last, match.index), style));
+      tokens.push(this.parseMatch(match, rollData, style));
+      last = match.index + match[0].length;
+    }
+
+    if (last < text.length) tokens.push(this.textToken(text.slice(last), style));
+    return tokens;
+  }
+
+  static parseMatch(match, rollData, style) {
+    const [source, command, args, commandLabel, inline, inlineLabel, linkType, target, linkLabel, reference, referenceLabel] = match;
+
+    if (command) return this.parseCommand(command.toLowerCase(), args, commandLabel, rollData, style, source);
+
+    if (inline) {
+      // [[lookup @path]] shows a value rather than rolling
+      if (/^lookup\s/i.test(inline)) {
+        return this.textToken(inlineLabel || this.resolveFormula(inline.replace(/^lookup\s+/i, ''), rollData), style);
+      }
+      const formula = this.resolveFormula(inline, rollData);
+      return { type: 'roll', formula, label: inlineLabel || formula };
+    }
+
+    if (linkType) {
+      const uuid = linkType === 'UUID' ? target : `${linkType}.${target}`;
+      return { type: 'link', uuid, label: linkLabel || this.getDocumentName(uuid) || target };
+    }
+
+    if (reference) {
+      const key = reference.split(/\s+/)[0].replace(/^\w+=/, '');
+      const config = CONFIG.DND5E.conditionTypes?.[key] || CONFIG.DND5E.rules?.[key];
+      const label = referenceLabel || (config?.label ? game.i18n.localize(config.label) : key);
+      return { type: 'reference', key, label };
+    }
+
+    return this.textToken(source, style);
+  }
+
+  /**
+   * Tokens for [[/command ...]] enrichers
+   * Arguments are bare words or key=value pairs: [[/save dex 15]] and
+   * [[/save ability=dex dc=15]] mean the same thing.
+   */
+  static parseCommand(command, args, label, rollData, style, source) {
+    const words = [];
+    const options = {};
+    for (const part of (args || '').trim().split(/\s+/).filter(Boolean)) {
+      const [key, ...value] = part.split('=');
+      if (value.length > 0) {
+        options[key] = value.join('=');
+      } else {
+        words.push(part);
+      }
+    }
+
+    if (this.ROLL_COMMANDS.includes(command)) {
+      const formula = this.resolveFormula(options.formula || words.join(' '), rollData);
+      return { type: 'roll', formula, label: label || formula };
+    }
+
+    if (this.DAMAGE_COMMANDS.includes(command)) {
+      const damageTypes = { ...CONFIG.DND5E.damageTypes, ...CONFIG.DND5E.healingTypes };
+      const damageType = options.type || words.find(word => damageTypes[word]) || (command === 'damage' ? '' : 'healing');
+      const formula = this.resolveFormula(
+        options.formula || words.filter(word => !damageTypes[word] && word !== 'average').join(' '),
+        rollData
+      );
+      const typeLabel = damageTypes[damageType]?.label ? game.i18n.localize(damageTypes[damageType].label) : damageType;
+      return { type: 'damage', formula, damageType, label: label || `${formula} ${typeLabel}`.trim() };
+    }
+
+    if (this.CHECK_COMMANDS.includes(command)) {
+      const abilities = CONFIG.DND5E.abilities;
+      const skills = CONFIG.DND5E.skills;
+      const ability = options.ability || words.find(word => abilities[word]);
+      const skill = options.skill || words.find(word => skills[word]);
+      const dcText = options.dc || words.find(word => /^\d+$/.test(word));
+      const dc = dcText ? Number(this.resolveFormula(dcText, rollData)) || null : null;
+      const save = command === 'save';
+
+      return {
+        type: 'check',
+        save,
+        ability: ability || undefined,
+        skill: skill || undefined,
+        dc,
+        label: label || this.getCheckLabel({ save, ability, skill, dc })
+      };
+    }
+
+    // Other enrichers (e.g. /award or /item) have nothing to tap on the phone
+    return this.textToken(label || source, style);
+  }
+
+  static getCheckLabel({ save, ability, skill, dc }) {
+    const name = skill ? CONFIG.DND5E.skills[skill]?.label : CONFIG.DND5E.abilities[ability]?.label;
+    const parts = [];
+    if (dc) parts.push(`DC ${dc}`);
+    if (name) parts.push(game.i18n.localize(name));
+    parts.push(save ? 'save' : 'check');
+    return parts.join(' ');
+  }
+
+  static resolveFormula(formula, rollData) {
+    try {
+      return Roll.replaceFormulaData(formula.trim(), rollData, { missing: '0', warn: false });
+    } catch (error) {
+      return formula.trim();
+    }
+  }
+
+  static getDocumentName(uuid) {
+    try {
+      return fromUuidSync(uuid)?.name || null;
+    } catch (error) {
+      // Relative or malformed UUIDs can't be looked up without a document
+      return null;
+    }
+  }
+
+  static textToken(text, style) {
+    const token = { type: 'text', text };
+    if (style.bold) token.bold = true;
+    if (style.italic) token.italic = true;
+    return token;
+  }
+
+  /**
+   * Merge neighbouring text with the same style and trim the ends
+   */
+  static trimContent(tokens) {
+    const merged = [];
+    for (const token of tokens) {
+      const previous = merged[merged.length - 1];
+      if (token.type === 'text' && previous?.type === 'text' &&
+          !!previous.bold === !!token.bold && !!previous.italic === !!token.italic) {
+        previous.text = (previous.text + token.text).replace(/ +/g, ' ');
+      } else {
+        merged.push({ ...token });
+      }
+    }
+
+    const first = merged[0];
+    if (first?.type === 'text') first.text = first.text.replace(/^[\s]+/, '');
+    const last = merged[merged.length - 1];
+    if (last?.type === 'text') last.text = last.text.replace(/[\s]+$/, '');
+
+    return merged.filter(token => token.type !== 'text' || token.text.length > 0);
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Error types for requests coming from the mobile client
+ * Errors carry a stable code the phone can branch on, the message is for display.
+ */
+
+export const ErrorCode = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  UNAUTHORIZED: 'UNAUTHORIZED',           // unknown client or not in PLAY
+  ACTOR_NOT_BOUND: 'ACTOR_NOT_BOUND',     // actor isn't the one selected in SETUP
+  PERMISSION_DENIED: 'PERMISSION_DENIED', // Foundry user doesn't own the actor
+  ACTOR_NOT_FOUND: 'ACTOR_NOT_FOUND',
+  ITEM_NOT_FOUND: 'ITEM_NOT_FOUND',
+  ROLL_FAILED: 'ROLL_FAILED',
+  ROLL_TIMEOUT: 'ROLL_TIMEOUT',
+  APPROVAL_DENIED: 'APPROVAL_DENIED',     // GM rejected or didn't answer the change
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+export class PlayError extends Error {
+  /**
+   * @param {string} code - One of ErrorCode
+   * @param {string} message - Human readable description
+   * @param {Object} details - Extra data for the phone (optional)
+   */
+  constructor(code, message, details = undefined) {
+    super(message);
+    this.name = 'PlayError';
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * Wrap any thrown value as a PlayError
+   * @param {*} error - Caught error
+   * @param {string} code - Code to use if the error isn't already a PlayError
+   * @returns {PlayError}
+   */
+  static from(error, code = ErrorCode.INTERNAL_ERROR) {
+    if (error instanceof PlayError) return error;
+    return new PlayError(code, error?.message || String(error));
+  }
+
+  /**
+   * Serialize for a protocol message
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      details: this.details
+    };
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Document hashing for sync integrity checks
+ * The mobile client computes the same hash over its local copy after applying
+ * an update; a mismatch means the copies have diverged and a resync is needed.
+ */
+
+/**
+ * Serialize a value to JSON with object keys sorted (by UTF-16 code unit, the
+ * default Array.sort order) so the output does not depend on insertion order.
+ * Undefined properties are omitted, as with JSON.stringify.
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON string
+ */
+export function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => item === undefined ? 'null' : stableStringify(item)).join(',')}]`;
+  }
+
+  const keys = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort();
+
+  return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+/**
+ * Hash a document as 32-bit FNV-1a over the UTF-8 bytes of its canonical JSON
+ * @param {Object} doc - Document to hash
+ * @returns {string} Hash as 8 lowercase hex characters
+ */
+export function hashDocument(doc) {
+  return hashBytes(new TextEncoder().encode(stableStringify(doc)));
+}
+
+/**
+ * Hash raw bytes as 32-bit FNV-1a
+ * @param {Uint8Array} bytes - Bytes to hash
+ * @returns {string} Hash as 8 lowercase hex characters
+ */
+export function hashBytes(bytes) {
+  let hash = 0x811c9dc5;
+  for (const byte of bytes) {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
@@ -0,0 +1,142 @@
+/**
+ * Roll capture - matches a requested roll with the chat message it creates
+ * Every capture gets a unique token that the roller passes into the roll's
+ * message flags, so the message carrying it resolves exactly that capture even
+ * with several rolls in flight for one actor or other modules rolling for it.
+ */
+
+import { RollParser } from './roll-parser.js';
+import { PlayError, ErrorCode } from './errors.js';
+
+// D&D5e's flags.dnd5e.roll.type for each capture type, used for messages
+// that arrive without our token
+const DND5E_ROLL_TYPES = {
+  ability: 'ability',
+  save: 'save',
+  skill: 'skill',
+  deathSave: 'death'
+};
+
+export class RollCapture {
+  static FLAG_SCOPE = 'mage-hand';
+
+  constructor(timeout = 5000) {
+    // Pending captures by token
+    this.pending = new Map();
+    this.timeout = timeout;
+    
+    Hooks.on('createChatMessage', this.onCreateChatMessage.bind(this));
+  }
+
+  /**
+   * Start capturing a roll
+   * @param {Actor} actor - Actor making the roll
+   * @param {string} identifier - Ability or skill key, 'init' or 'death'
+   * @param {string} type - ability, save, skill, initiative, deathSave or item
+   * @returns {Object} { id, flags, promise } - pass flags into the roll's
+   *   message data; promise resolves with the parsed roll
+   */
+  create(actor, identifier, type) {
+    const id = foundry.utils.randomID();
+    const context = { actor, type };
+    
+    if (type === 'ability') {
+      context.ability = identifier;
+    } else if (type === 'save') {
+      context.ability = identifier;
+      context.isSave = true;
+    } else if (type === 'skill') {
+      context.skill = identifier;
+      context.isSkill = true;
+    } else if (type === 'initiative') {
+      context.isInitiative = true;
+    } else if (type === 'deathSave') {
+      context.isDeathSave = true;
+    } else if (type === 'item') {
+      context.itemId = identifier;
+      context.isItem = true;
+    }
+    
+    const promise = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        if (this.pending.delete(id)) {
+          reject(new PlayError(ErrorCode.ROLL_TIMEOUT, 'Roll result capture timeout'));
+        }
+      }, this.timeout);
+      
+      this.pending.set(id, { context, resolve, timer, created: Date.now() });
+    });
+    
+    return {
+      id,
+      flags: { [RollCapture.FLAG_SCOPE]: { captureId: id } },
+      promise
+    };
+  }
+
+  /**
+   * Drop a capture whose roll never started (e.g. the roll threw)
+   */
+  cancel(capture) {
+    const entry = this.pending.get(capture.id);
+    if (!entry) return;
+    
+    clearTimeout(entry.timer);
+    this.pending.delete(capture.id);
+    capture.promise.catch(() => {});
+  }
+
+  onCreateChatMessage(message) {
+    if (!message.rolls?.length || this.pending.size === 0) return;
+    
+    const captureId = message.flags?.[RollCapture.FLAG_SCOPE]?.captureId;
+    const id = captureId ?? this.findUnflagged(message);
+    const entry = id && this.pending.get(id);
+    if (!entry) return;
+    
+    const result = RollParser.parseFromMessage(message, entry.context);
+    if (!result) {
+      console.warn('Mage Hand | Could not parse roll from message');
+      return;
+    }
+    
+    clearTimeout(entry.timer);
+    this.pending.delete(id);
+    entry.resolve(result);
+  }
+
+  /**
+   * Match a message without a token, for roll paths that drop our flags
+   * Only the oldest capture of the same actor, roll type and ability or skill
+   * is considered, and only when the system tells us what kind of roll the
+   * message is and, for checks and saves, which ability or skill.
+   */
+  findUnflagged(message) {
+    // v12 renamed message.user to message.author
+    const author = message.author ?? message.user;
+    if (author && author.id !== game.user.id) return null;
+    
+    const roll = message.flags?.dnd5e?.roll;
+    const rollType = roll?.type;
+    const isInitiative = message.flags?.core?.initiativeRoll === true;
+    if (!rollType && !isInitiative) return null;
+    
+    let match = null;
+    for (const [id, entry] of this.pending) {
+      const { actor, type, ability, skill } = entry.context;
+      if (actor.id !== message.speaker?.actor) continue;
+      
+      // Another roll of the same type for the actor, e.g. a STR save made by
+      // another module while we wait for a DEX save
+      if (ability && roll?.abilityId !== ability) continue;
+      if (skill && roll?.skillId !== skill) continue;
+      
+      const sameType = isInitiative ? type === 'initiative' : DND5E_ROLL_TYPES[type] === rollType;
+      if (sameType && (!match || entry.created < match.created)) {
+        match = { id, created: entry.created };
+      }
+    }
+    
+    return match?.id ?? null;
+  }
+}
@@ -29,10 +29,11 @@ export class RollParser {
     const hasAdvantage = roll.formula?.includes('2d20kh') || roll.formula?.includes('2d20kl');
     const hasDisadvantage = roll.formula?.includes('2d20kl');
     
-    // Check for critical/fumble (primarily for d20 rolls)
-    const d20Results = roll.dice?.[0]?.results || [];
-    const critical = d20Results.some(r => (r.result || r) === 20);
-    const fumble = d20Results.some(r => (r.result || r) === 1);
+    // Check for critical/fumble (primarily for d20 rolls). D20Rolls know their
+    // own thresholds; otherwise only count dice kept by advantage/disadvantage
+    const d20Results = (roll.dice?.[0]?.results || []).filter(r => r.active !== false);
+    const critical = roll.isCritical ?? d20Results.some(r => (r.result || r) === 20);
+    const fumble = roll.isFumble ?? d20Results.some(r => (r.result || r) === 1);
     
     // Build standardized result
     const result = {
@@ -41,6 +42,8 @@ export class RollParser {
       advantage: hasAdvantage && !hasDisadvantage,
       disadvantage: hasDisadvantage,
       critical: critical,
+      fumble: fumble,
+      dice: this.parseDice(roll.dice),
       type: type,
       timestamp: Date.now()
     };
@@ -4,6 +4,8 @@
  */
 
 import { logger } from './utils/logger.js';
+import { PlayError, ErrorCode } from './utils/errors.js';
+import { SchemaRegistry } from './schemas/schema-registry.js';
 
 // Connection States
 const ConnectionState = {
@@ -41,6 +43,10 @@ const MessageType = {
   SETUP_REQ_ACTOR: 'SETUP:REQ:ACTOR',
   SETUP_SEND_ACTOR: 'SETUP:SEND:ACTOR',
   SETUP_ACTOR_ACK: 'SETUP:ACTOR:ACK',
+  SETUP_REQ_ITEM: 'SETUP:REQ:ITEM',
+  SETUP_SEND_ITEM: 'SETUP:SEND:ITEM',
+  SETUP_REQ_ASSET: 'SETUP:REQ:ASSET',
+  SETUP_SEND_ASSET: 'SETUP:SEND:ASSET',
 
   // Play
   PLAY_REQ_INIT: 'PLAY:REQ:INIT',
@@ -51,12 +57,35 @@ const MessageType = {
   PLAY_COMBAT_YOU: 'PLAY:COMBAT:YOU',
   PLAY_COMBAT_END: 'PLAY:COMBAT:END',
   PLAY_UPDATE_ACTOR: 'PLAY:UPDATE:ACTOR',
+  PLAY_SYNC_REQ: 'PLAY:SYNC:REQ',
+  PLAY_SYNC_ACTOR: 'PLAY:SYNC:ACTOR',
   PLAY_USE_ITEM: 'PLAY:USE:ITEM',
+  PLAY_USE_FEATURE: 'PLAY:USE:FEATURE',
+  PLAY_USE_FOLLOWUP: 'PLAY:USE:FOLLOWUP',
   PLAY_CHECK_ABILITY: 'PLAY:CHECK:ABILITY',
   PLAY_SAVE_ABILITY: 'PLAY:SAVE:ABILITY',
+  PLAY_SAVE_CONCENTRATION: 'PLAY:SAVE:CONCENTRATION',
+  PLAY_CONCENTRATION_CHECK: 'PLAY:CONCENTRATION:CHECK',
   PLAY_CHECK_SKILL: 'PLAY:CHECK:SKILL',
   PLAY_ATTACK_WEAPON: 'PLAY:ATTACK:WEAPON',
   PLAY_CAST_SPELL: 'PLAY:CAST:SPELL',
+  PLAY_ROLL_INIT: 'PLAY:ROLL:INIT',
+  PLAY_ROLL_DEATH: 'PLAY:ROLL:DEATH',
+  PLAY_DEATH_DYING: 'PLAY:DEATH:DYING',
+  PLAY_DEATH_SAVE: 'PLAY:DEATH:SAVE',
+  PLAY_DEATH_STABLE: 'PLAY:DEATH:STABLE',
+  PLAY_DEATH_DEAD: 'PLAY:DEATH:DEAD',
+  PLAY_DEATH_REVIVED: 'PLAY:DEATH:REVIVED',
+  PLAY_REST_SHORT: 'PLAY:REST:SHORT',
+  PLAY_REST_LONG: 'PLAY:REST:LONG',
+  PLAY_HP_APPLY: 'PLAY:HP:APPLY',
+  PLAY_CONDITION_TOGGLE: 'PLAY:CONDITION:TOGGLE',
+  PLAY_EXHAUSTION_SET: 'PLAY:EXHAUSTION:SET',
+  PLAY_EFFECT_TOGGLE: 'PLAY:EFFECT:TOGGLE',
+  PLAY_ROLL_RESULT: 'PLAY:ROLL:RESULT',
+  PLAY_ACK: 'PLAY:ACK',
+  PLAY_DONE: 'PLAY:DONE',
+  PLAY_FAILED: 'PLAY:FAILED',
   PLAY_ROLL_CUSTOM: 'PLAY:ROLL:CUSTOM',
 
   // Connection status
@@ -77,11 +106,12 @@ class MobileClient {
     this.displayName = null; // Friendly display name
     this.state = ConnectionState.JOINED;
     this.stateData = {
-      schemaVersion: '1.0.0',
+      schemaVersion: SchemaRegistry.CURRENT_VERSION,
       enabledFeatures: [],
       selectedPlayer: null,
       selectedActor: null,
     };
+    this.actorId = null; // Actor bound to this client in SETUP:ACTOR:ACK
     this.lastActivity = Date.now();
   }
 
@@ -120,6 +150,11 @@ export class WebSocketHandler {
     
     // Client snapshots for storing actor data
     this.clientSnapshots = new Map();
+    
+    // PLAY requests seen recently, by "clientId:requestId", so relay
+    // retries are answered from here instead of being run twice
+    this.recentRequests = new Map();
+    this.requestDedupeWindow = 60000;
   }
   
   /**
@@ -243,7 +278,7 @@ export class WebSocketHandler {
     if (this.connectionState !== ConnectionState.DISCONNECTED) {
       message.lastState = this.connectionState;
       message.stateData = {
-        schemaVersion: '1.0.0'
+        schemaVersion: SchemaRegistry.CURRENT_VERSION
       };
     }
     
@@ -298,15 +333,35 @@ export class WebSocketHandler {
         case MessageType.SETUP_ACTOR_ACK:
           this.handleSetupActorAck(message);
           break;
+        case MessageType.SETUP_REQ_ITEM:
+          this.handleSetupReqItem(message);
+          break;
+        case MessageType.SETUP_REQ_ASSET:
+          this.handleSetupReqAsset(message);
+          break;
           
         // Play messages
+        case MessageType.PLAY_SYNC_REQ:
+          this.handleSyncRequest(message);
+          break;
         case MessageType.PLAY_USE_ITEM:
+        case MessageType.PLAY_USE_FEATURE:
+        case MessageType.PLAY_USE_FOLLOWUP:
         case MessageType.PLAY_CHECK_ABILITY:
         case MessageType.PLAY_SAVE_ABILITY:
+        case MessageType.PLAY_SAVE_CONCENTRATION:
         case MessageType.PLAY_CHECK_SKILL:
         case MessageType.PLAY_ATTACK_WEAPON:
         case MessageType.PLAY_CAST_SPELL:
         case MessageType.PLAY_ROLL_CUSTOM:
+        case MessageType.PLAY_ROLL_INIT:
+        case MessageType.PLAY_ROLL_DEATH:
+        case MessageType.PLAY_REST_SHORT:
+        case MessageType.PLAY_REST_LONG:
+        case MessageType.PLAY_HP_APPLY:
+        case MessageType.PLAY_CONDITION_TOGGLE:
+        case MessageType.PLAY_EXHAUSTION_SET:
+        case MessageType.PLAY_EFFECT_TOGGLE:
           this.handlePlayMessage(message);
           break;
           
@@ -580,9 +635,10 @@ export class WebSocketHandler {
     
     const mobileCapabilities = message.capabilities;
     
-    // Check schema compatibility
-    const ourSchema = '1.0.0'; // Should match CharacterV1.SCHEMA_VERSION in iOS
-    if (mobileCapabilities.schemaVersion !== ourSchema) {
+    // Check schema compatibility. Phones on an older schema are served
+    // documents migrated down to it.
+    const ourSchema = SchemaRegistry.CURRENT_VERSION;
+    if (!SchemaRegistry.canServe(mobileCapabilities.schemaVersion)) {
       // Version mismatch
       this.sendMessage({
         type: MessageType.INIT_DENY,
@@ -614,6 +670,7 @@ export class WebSocketHandler {
         foundryVersion: game.version,
         systemVersion: game.system.version,
         schemaVersion: ourSchema,
+        supportedSchemas: SchemaRegistry.getServableVersions(),
         supportedFeatures: ['combat', 'spells', 'items', 'vision']
       }
     });
@@ -622,7 +679,7 @@ export class WebSocketHandler {
     this.sendMessage({
       type: MessageType.INIT_HELO_ACK,
       to: mobileClientId,
-      negotiatedSchema: ourSchema,
+      negotiatedSchema: mobileCapabilities.schemaVersion,
       enabledFeatures: mobileCapabilities.supportedFeatures
     });
     
@@ -819,26 +876,141 @@ export class WebSocketHandler {
       return;
     }
     
-    // Extract and send actor data
-    const actorData = this.mageHand.extractor.extractCharacterData(actor);
+    // Refresh the sync baseline first so clients already bound to this actor
+    // receive any pending changes before the baseline moves on
+    this.mageHand.handleActorUpdate(actor, {});
+    const actorData = this.mageHand.characterData.get(actor.id);
+    if (!actorData) {
+      logger.error('Mage Hand | Could not extract actor:', message.actorId);
+      return;
+    }
     
-    // Ensure schema version is set
-    actorData._v = '1.0.0'; // Add schema version to extracted data
+    // The revision lets the phone pick up the diff stream from this baseline
+    const revision = this.mageHand.getActorRevision(actor.id);
+    const schemaVersion = this.getClientSchema(message.from);
+    const clientData = SchemaRegistry.migrate(actorData, schemaVersion);
     
+    // Only the asking phone: the document is in its schema, with its hash
     this.sendMessage({
       type: MessageType.SETUP_SEND_ACTOR,
-      actor: actorData
+      to: message.from,
+      actor: clientData,
+      rev: revision?.rev,
+      hash: revision?.hashes[schemaVersion]
     });
     
     // Store actor data for this client
     if (message.from) {
       this.clientSnapshots.set(message.from, {
         actorId: message.actorId,
-        actorData: actorData
+        actorData: clientData
       });
     }
   }
 
+  /**
+   * Message: SETUP:REQ:ITEM
+   * Item details aren't part of the synced character, the phone asks for
+   * them when the player opens an item or spell. Like play requests, this
+   * needs a client in PLAY asking about its bound actor.
+   * Sample: {
+   *   type: 'SETUP:REQ:ITEM',
+   *   from: 'mobile-client-id',
+   *   actorId: 'actor1',
+   *   itemId: 'item1'
+   * }
+   * Answered with SETUP:SEND:ITEM: {
+   *   type: 'SETUP:SEND:ITEM',
+   *   actorId: 'actor1',
+   *   itemId: 'item1',
+   *   item: { id, name, type, img, description: [blocks], price, spell },
+   *   error: { code, message }  // instead of item on failure
+   * }
+   */
+  handleSetupReqItem(message) {
+    logger.info('Mage Hand | Mobile requesting item details:', message.itemId);
+    
+    let item = null;
+    let error = null;
+    try {
+      // Same checks as play requests: only the client's own bound actor
+      const client = this.authorizeClient(message);
+      const actor = game.actors.get(client.actorId);
+      
+      const actorItem = actor.items.get(message.itemId);
+      if (!actorItem) {
+        throw new PlayError(ErrorCode.ITEM_NOT_FOUND, `Item not found on ${actor.name}: ${message.itemId}`);
+      }
+      
+      item = this.mageHand.extractor.extractItemDetails(actor, actorItem);
+    } catch (err) {
+      error = PlayError.from(err);
+      logger.warn('Mage Hand | Item details failed:', error.message);
+    }
+    
+    this.sendMessage({
+      type: MessageType.SETUP_SEND_ITEM,
+      to: message.from,
+      actorId: message.actorId,
+      itemId: message.itemId,
+      item: item ?? undefined,
+      error: error ? error.toJSON() : undefined
+    });
+  }
+
+  /**
+   * Message: SETUP:REQ:ASSET
+   * The phone asks for an image path from the character data, passing the
+   * hash of its cached copy if it has one. Only clients in SETUP or PLAY
+   * are served. Sizes round up to 32, 64, 128,
+   * 256 or 512 pixels (the longest side), 128 by default.
+   * Sample: {
+   *   type: 'SETUP:REQ:ASSET',
+   *   from: 'mobile-client-id',
+   *   src: 'icons/svg/mystery-man.svg',
+   *   size: 128,
+   *   hash: '9f86d081...'  // optional
+   * }
+   * Answered with SETUP:SEND:ASSET: {
+   *   type: 'SETUP:SEND:ASSET',
+   *   src: 'icons/svg/mystery-man.svg',
+   *   size: 128,
+   *   hash: '9f86d081...',
+   *   mimeType: 'image/webp', width: 128, height: 128, data: 'UklGR...',
+   *   unchanged: true,          // instead of the image when the hash matches
+   *   error: { code, message }  // instead of the image on failure
+   * }
+   */
+  async handleSetupReqAsset(message) {
+    const response = {
+      type: MessageType.SETUP_SEND_ASSET,
+      to: message.from,
+      src: message.src
+    };
+    
+    try {
+      // Rendering runs on this Foundry client, so only for joined phones
+      this.authorizeClient(message, {
+        states: [ConnectionState.SETUP, ConnectionState.PLAY],
+        requireActor: false
+      });
+      
+      const asset = await this.mageHand.assets.getAsset(message.src, message.size);
+      if (message.hash && message.hash === asset.hash) {
+        Object.assign(response, { size: asset.size, hash: asset.hash, unchanged: true });
+      } else {
+        Object.assign(response, asset);
+      }
+    } catch (err) {
+      const error = PlayError.from(err);
+      logger.warn('Mage Hand | Asset request failed:', error.message);
+      response.size = message.size;
+      response.error = error.toJSON();
+    }
+    
+    this.sendMessage(response);
+  }
+
   /**
    * Message: SETUP:ACTOR:ACK
    * Sample: {
@@ -859,14 +1031,22 @@ export class WebSocketHandler {
       // Update this client to PLAY state
       mobileClient.updateState(ConnectionState.PLAY);
       
-      // Store the actor ID (we should already have the full actor data from SETUP:REQ:ACTOR)
+      // Bind the client to its actor so live updates are routed to it.
+      // The baseline from SETUP:REQ:ACTOR is what the phone holds, so any
+      // changes made since then go out as a diff (or a full send if none)
       if (message.actorId) {
         const actor = game.actors.get(message.actorId);
-        if (actor) {
-          const extractedData = this.mageHand.extractor.extractCharacterData(actor);
+        if (actor && !actor.testUserPermission(game.user, 'OWNER')) {
+          logger.warn(`Mage Hand | ${game.user.name} does not own ${actor.name}, client left unbound`);
+        } else if (actor) {
+          mobileClient.actorId = actor.id;
+          this.mageHand.handleActorUpdate(actor, {});
+          const actorData = this.mageHand.characterData.get(actor.id);
           mobileClient.updateStateData({
-            selectedActor: extractedData
+            selectedActor: actorData ? SchemaRegistry.migrate(actorData, mobileClient.stateData.schemaVersion) : null
           });
+        } else {
+          logger.warn(`Mage Hand | Actor ${message.actorId} not found, client left unbound`);
         }
       }
       
@@ -876,38 +1056,295 @@ export class WebSocketHandler {
     // Update global state to PLAY
     this.updateConnectionState(ConnectionState.PLAY);
     
+    // Catch the phone up on a combat already in progress, and on its
+    // character's death saves if it is down
+    if (mobileClient) {
+      this.mageHand.combatStream?.sendCurrentState(mobileClientId);
+      
+      const actor = mobileClient.actorId && game.actors.get(mobileClient.actorId);
+      if (actor) this.mageHand.deathSaves?.sendCurrentState(mobileClientId, actor);
+    }
+    
     // Start heartbeat
     this.startHeartbeat();
     
     this.notifyPanel('Mobile client ready to play!', 'success');
   }
 
-  handlePlayMessage(message) {
+  /**
+   * Message: PLAY:SYNC:REQ
+   * Sent by the phone when it detects a gap in the revision sequence or its
+   * hash of the actor no longer matches the one sent with the last update.
+   * Sample: {
+   *   type: 'PLAY:SYNC:REQ',
+   *   from: 'mobile-client-id',
+   *   actorId: 'actor1',
+   *   rev: 41,          // last revision the phone applied
+   *   hash: '9f3a0c12', // phone's hash of its copy at that revision (optional)
+   *   full: false       // force a full snapshot
+   * }
+   */
+  handleSyncRequest(message) {
+    const client = this.mobileClients.get(message.from);
+    const actorId = message.actorId || client?.actorId;
+    
+    if (!client || !actorId || client.actorId !== actorId) {
+      logger.warn(`Mage Hand | Sync request from ${message.from} for unbound actor ${actorId}`);
+      return;
+    }
+    
+    const actor = game.actors.get(actorId);
+    if (!actor) {
+      logger.error('Mage Hand | Actor not found for sync:', actorId);
+      return;
+    }
+    
+    // Bring the baseline up to date so the client catches up to the live actor
+    this.mageHand.handleActorUpdate(actor, {});
+    
+    const revision = this.mageHand.getActorRevision(actorId);
+    const actorData = this.mageHand.characterData.get(actorId);
+    if (!revision || !actorData) {
+      logger.error('Mage Hand | No sync baseline for actor:', actorId);
+      return;
+    }
+    
+    const schemaVersion = client.stateData.schemaVersion;
+    const entries = message.full ? null : this.mageHand.getDiffsSince(actorId, message.rev, message.hash, schemaVersion);
+    
+    if (!entries) {
+      logger.info(`Mage Hand | Resyncing actor ${actorId} for ${client.clientId} with full snapshot r${revision.rev}`);
+      this.sendMessage({
+        type: MessageType.PLAY_SYNC_ACTOR,
+        to: client.clientId,
+        actorId: actorId,
+        rev: revision.rev,
+        hash: revision.hashes[schemaVersion],
+        actor: SchemaRegistry.migrate(actorData, schemaVersion)
+      });
+      return;
+    }
+    
+    if (entries.length === 0) {
+      this.sendMessage({
+        type: MessageType.PLAY_SYNC_ACTOR,
+        to: client.clientId,
+        actorId: actorId,
+        rev: revision.rev,
+        hash: revision.hashes[schemaVersion],
+        upToDate: true
+      });
+      return;
+    }
+    
+    logger.info(`Mage Hand | Replaying ${entries.length} update(s) for actor ${actorId} to ${client.clientId}`);
+    for (const entry of entries) {
+      this.sendMessage(this.buildActorUpdateMessage(client.clientId, actorId, entry.diff, entry));
+    }
+  }
+
+  /**
+   * Play requests may carry a requestId. Such requests are acknowledged
+   * right away with PLAY:ACK and finish with PLAY:DONE or PLAY:FAILED.
+   * A repeated requestId within the dedupe window is not run again; the
+   * responses sent so far are replayed instead.
+   * Sample: {
+   *   type: 'PLAY:CAST:SPELL',
+   *   from: 'mobile-client-id',
+   *   requestId: 'req-42',
+   *   actorId: 'actor1',
+   *   spellId: 'item1',
+   *   activityId: 'act1',    // D&D5e v4+, optional (default first activity)
+   *   level: 3,              // slot level, optional
+   *   pact: false,           // cast with a pact slot, optional
+   *   consume: { spellSlot: true, resources: true },  // optional
+   *   mode: 'advantage',     // optional
+   *   targetIds: ['token1']  // optional, replaces the user's targets
+   * }
+   * The PLAY:ROLL:RESULT reports what was spent in result.consumed.
+   */
+  async handlePlayMessage(message) {
     logger.info('Mage Hand | Play message:', message.type);
     
-    // Route to appropriate handler in main module
+    // Legacy fire-and-forget request
+    if (!message.requestId) {
+      try {
+        this.authorizePlayRequest(message);
+        await this.dispatchPlayMessage(message);
+      } catch (error) {
+        const playError = PlayError.from(error);
+        logger.error(`Mage Hand | ${message.type} failed:`, playError);
+        this.sendRequestResponse(message, MessageType.PLAY_FAILED, { error: playError.toJSON() });
+      }
+      return;
+    }
+    
+    this.pruneRecentRequests();
+    
+    const key = `${message.from}:${message.requestId}`;
+    const previous = this.recentRequests.get(key);
+    if (previous) {
+      logger.warn(`Mage Hand | Duplicate request ${message.requestId} (${message.type}), replaying ${previous.responses.length} response(s)`);
+      previous.responses.forEach(response => this.sendMessage(response));
+      return;
+    }
+    
+    this.recentRequests.set(key, { timestamp: Date.now(), responses: [] });
+    this.sendRequestResponse(message, MessageType.PLAY_ACK);
+    
+    try {
+      this.authorizePlayRequest(message);
+      await this.dispatchPlayMessage(message);
+      this.sendRequestResponse(message, MessageType.PLAY_DONE);
+    } catch (error) {
+      const playError = PlayError.from(error);
+      logger.error(`Mage Hand | Request ${message.requestId} (${message.type}) failed:`, playError);
+      this.sendRequestResponse(message, MessageType.PLAY_FAILED, { error: playError.toJSON() });
+    }
+  }
+
+  /**
+   * Check that a mobile client may act on the actor in a play request
+   * The client must be in PLAY, the actor must be the one it selected in
+   * SETUP, and the Foundry user must own it. A missing actorId defaults to
+   * the bound actor.
+   * @param {Object} message - The PLAY message, actorId is filled in
+   * @throws {PlayError} If the request is not allowed
+   */
+  authorizePlayRequest(message) {
+    const client = this.authorizeClient(message);
+    message.actorId = client.actorId;
+  }
+
+  /**
+   * Check that a request comes from a known mobile client in one of the
+   * given states and, unless told otherwise, that it is for the client's
+   * bound actor, which the Foundry user owns
+   * @param {Object} message - The request, with from and an optional actorId
+   * @param {Object} options
+   * @param {Array<string>} options.states - Allowed client states (default PLAY)
+   * @param {boolean} options.requireActor - Check the bound actor (default true)
+   * @returns {MobileClient} The client
+   * @throws {PlayError} If the request is not allowed
+   */
+  authorizeClient(message, { states = [ConnectionState.PLAY], requireActor = true } = {}) {
+    const client = this.mobileClients.get(message.from);
+    
+    let error = null;
+    if (!client || !states.includes(client.state)) {
+      error = new PlayError(ErrorCode.UNAUTHORIZED, `Mobile client is not in ${states.join(' or ')} state`);
+    } else if (requireActor) {
+      error = this.getBoundActorError(client, message.actorId);
+    }
+    
+    if (error) {
+      logger.warn(`Mage Hand | Rejected ${message.type} from ${message.from}: ${error.message}`);
+      throw error;
+    }
+    
+    return client;
+  }
+
+  /**
+   * Why a client can't act on an actor, or null if it can
+   * @returns {PlayError|null}
+   */
+  getBoundActorError(client, actorId) {
+    if (!client.actorId) {
+      return new PlayError(ErrorCode.ACTOR_NOT_BOUND, 'No actor selected for this mobile client');
+    }
+    if (actorId && actorId !== client.actorId) {
+      return new PlayError(ErrorCode.ACTOR_NOT_BOUND, `Actor ${actorId} is not the actor selected by this mobile client`);
+    }
+    
+    const actor = game.actors.get(client.actorId);
+    if (!actor) {
+      return new PlayError(ErrorCode.ACTOR_NOT_FOUND, `Actor not found: ${client.actorId}`);
+    }
+    if (!actor.testUserPermission(game.user, 'OWNER')) {
+      return new PlayError(ErrorCode.PERMISSION_DENIED, `${game.user.name} does not own ${actor.name}`);
+    }
+    return null;
+  }
+
+  /**
+   * Route a play message to its handler in the main module
+   * Handlers throw a PlayError when the request fails.
+   */
+  async dispatchPlayMessage(message) {
     switch (message.type) {
       case MessageType.PLAY_ROLL_CUSTOM:
-        this.mageHand.handleRollRequest(message);
-        break;
+        return this.mageHand.handleRollRequest(message);
       case MessageType.PLAY_USE_ITEM:
-        this.mageHand.handleItemUse(message);
-        break;
+        return this.mageHand.handleItemUse(message);
+      case MessageType.PLAY_USE_FEATURE:
+        return this.mageHand.handleFeatureUse(message);
+      case MessageType.PLAY_USE_FOLLOWUP:
+        return this.mageHand.handleItemFollowUp(message);
       case MessageType.PLAY_CHECK_ABILITY:
-        this.mageHand.handleAbilityCheck(message);
-        break;
+        return this.mageHand.handleAbilityCheck(message);
       case MessageType.PLAY_SAVE_ABILITY:
-        this.mageHand.handleAbilitySave(message);
-        break;
+        return this.mageHand.handleAbilitySave(message);
+      case MessageType.PLAY_SAVE_CONCENTRATION:
+        return this.mageHand.handleConcentrationSave(message);
       case MessageType.PLAY_CHECK_SKILL:
-        this.mageHand.handleSkillCheck(message);
-        break;
+        return this.mageHand.handleSkillCheck(message);
       case MessageType.PLAY_ATTACK_WEAPON:
-        this.mageHand.handleWeaponAttack(message);
-        break;
+        return this.mageHand.handleWeaponAttack(message);
       case MessageType.PLAY_CAST_SPELL:
-        this.mageHand.handleSpellCast(message);
-        break;
+        return this.mageHand.handleSpellCast(message);
+      case MessageType.PLAY_ROLL_INIT:
+        return this.mageHand.handleInitiativeRoll(message);
+      case MessageType.PLAY_ROLL_DEATH:
+        return this.mageHand.handleDeathSave(message);
+      case MessageType.PLAY_REST_SHORT:
+        return this.mageHand.handleRest(message, 'short');
+      case MessageType.PLAY_REST_LONG:
+        return this.mageHand.handleRest(message, 'long');
+      case MessageType.PLAY_HP_APPLY:
+        return this.mageHand.handleApplyHP(message);
+      case MessageType.PLAY_CONDITION_TOGGLE:
+        return this.mageHand.handleConditionToggle(message);
+      case MessageType.PLAY_EXHAUSTION_SET:
+        return this.mageHand.handleExhaustion(message);
+      case MessageType.PLAY_EFFECT_TOGGLE:
+        return this.mageHand.handleEffectToggle(message);
+    }
+  }
+
+  /**
+   * Message: PLAY:ACK / PLAY:DONE / PLAY:FAILED (to mobile)
+   * Sample: {
+   *   type: 'PLAY:FAILED',
+   *   to: 'mobile-client-id',
+   *   requestId: 'req-42',
+   *   requestType: 'PLAY:CAST:SPELL',
+   *   error: { code: 'ITEM_NOT_FOUND', message: 'Item not found on Aria: item1' }
+   * }
+   * Responses are remembered so a duplicate request can be answered again.
+   * @param {Object} request - The PLAY message being answered
+   * @param {string} type - Response message type
+   * @param {Object} payload - Extra fields for the response
+   */
+  sendRequestResponse(request, type, payload = {}) {
+    const response = {
+      type: type,
+      to: request.from,
+      requestId: request.requestId,
+      requestType: request.type,
+      ...payload
+    };
+    
+    this.recentRequests.get(`${request.from}:${request.requestId}`)?.responses.push(response);
+    this.sendMessage(response);
+  }
+
+  pruneRecentRequests() {
+    const cutoff = Date.now() - this.requestDedupeWindow;
+    for (const [key, entry] of this.recentRequests) {
+      if (entry.timestamp < cutoff) {
+        this.recentRequests.delete(key);
+      }
     }
   }
 
@@ -1066,27 +1503,197 @@ export class WebSocketHandler {
   }
 
   /**
-   * Send actor update to mobile clients
+   * Check whether any mobile client is bound to an actor
+   * @param {string} actorId - Actor ID
+   * @returns {boolean} True if at least one client selected this actor
    */
-  sendActorUpdate(actorId, updates) {
-    if (this.connectionState !== ConnectionState.PLAY) {
-      return;
+  isActorBound(actorId) {
+    for (const client of this.mobileClients.values()) {
+      if (client.actorId === actorId) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get the mobile clients in PLAY state that are bound to an actor
+   * @param {string} actorId - Actor ID
+   * @returns {Array<MobileClient>} Bound clients
+   */
+  getClientsForActor(actorId) {
+    return Array.from(this.mobileClients.values())
+      .filter(client => client.actorId === actorId && client.state === ConnectionState.PLAY);
+  }
+
+  /**
+   * Message: PLAY:UPDATE:ACTOR (to mobile)
+   * Sample: {
+   *   type: 'PLAY:UPDATE:ACTOR',
+   *   to: 'mobile-client-id',
+   *   actorId: 'actor1',
+   *   rev: 42,          // revision this diff produces
+   *   baseRev: 41,      // revision the diff applies on top of
+   *   hash: '9f3a0c12', // hash of the actor document at rev
+   *   updates: { 'combat.hp.value': { type: 'update', old: 12, value: 7 } }
+   * }
+   * @param {string} actorId - Actor the diff belongs to
+   * @param {Object} updates - Diff produced by deepDiff
+   * @param {Object} revision - Revision info {rev, baseRev, hash, hashes}
+   * @returns {number} Number of clients the update was sent to
+   */
+  sendActorUpdate(actorId, updates, revision) {
+    const clients = this.getClientsForActor(actorId);
+    
+    for (const client of clients) {
+      this.sendMessage(this.buildActorUpdateMessage(client.clientId, actorId, updates, revision));
     }
     
-    // Find clients using this actor
-    for (const [token, client] of this.mobileClients) {
-      if (client.actorId === actorId) {
-        this.sendMessage({
-          type: MessageType.PLAY_UPDATE_ACTOR,
-          to: mobileClientId,
-          updates: updates
-        });
-      }
+    return clients.length;
+  }
+
+  buildActorUpdateMessage(clientId, actorId, updates, revision) {
+    // Phones on an older schema still get every revision, even one whose
+    // changes are all in sections they don't know
+    const schemaVersion = this.getClientSchema(clientId);
+    return {
+      type: MessageType.PLAY_UPDATE_ACTOR,
+      to: clientId,
+      actorId: actorId,
+      rev: revision.rev,
+      baseRev: revision.baseRev,
+      hash: revision.hashes[schemaVersion],
+      updates: SchemaRegistry.migrateDiff(updates, SchemaRegistry.CURRENT_VERSION, schemaVersion)
+    };
+  }
+
+  /**
+   * Schema version a client negotiated in INIT:HELO
+   * @param {string} clientId - Mobile client ID
+   * @returns {string} Schema version, the current one if unknown
+   */
+  getClientSchema(clientId) {
+    return this.mobileClients.get(clientId)?.stateData.schemaVersion || SchemaRegistry.CURRENT_VERSION;
+  }
+
+  /**
+   * Message: PLAY:REQ:INIT / PLAY:REQ:ABILITY / PLAY:REQ:SKILL (to mobile)
+   * The phone prompts the player and answers with PLAY:ROLL:INIT,
+   * PLAY:CHECK:ABILITY, PLAY:SAVE:ABILITY or PLAY:CHECK:SKILL carrying
+   * the same rollRequestId.
+   * Sample: {
+   *   type: 'PLAY:REQ:SKILL',
+   *   to: 'mobile-client-id',
+   *   actorId: 'actor1',
+   *   rollRequestId: 'kX9f2LmQ0aBcDeFg',
+   *   skill: 'prc',
+   *   label: 'Perception Check',
+   *   dc: 15 // only if the GM chose to reveal it
+   * }
+   * @param {Object} request - Roll request from the RollRequestManager
+   * @returns {Array<string>} IDs of the actors the request was sent for
+   */
+  sendRollRequest(request) {
+    const types = {
+      init: MessageType.PLAY_REQ_INIT,
+      ability: MessageType.PLAY_REQ_ABILITY,
+      save: MessageType.PLAY_REQ_ABILITY,
+      skill: MessageType.PLAY_REQ_SKILL
+    };
+    
+    const actorIds = new Set();
+    for (const client of this.mobileClients.values()) {
+      if (client.state !== ConnectionState.PLAY || !client.actorId) continue;
+      if (request.actorIds && !request.actorIds.includes(client.actorId)) continue;
+      
+      this.sendMessage({
+        type: types[request.type],
+        to: client.clientId,
+        actorId: client.actorId,
+        rollRequestId: request.rollRequestId,
+        ability: request.ability,
+        skill: request.skill,
+        save: request.type === 'save' || undefined,
+        label: request.label,
+        dc: request.revealDc ? request.dc : undefined
+      });
+      actorIds.add(client.actorId);
     }
+    
+    return Array.from(actorIds);
   }
 
   /**
-   * Send combat state update
+   * Message: PLAY:ROLL:RESULT (to mobile)
+   * Answers a PLAY request that carried a requestId.
+   * Sample (success): {
+   *   type: 'PLAY:ROLL:RESULT',
+   *   to: 'mobile-client-id',
+   *   requestId: 'req-42',
+   *   requestType: 'PLAY:ATTACK:WEAPON',
+   *   actorId: 'actor1',
+   *   success: true,
+   *   result: { type: 'attack', total: 17, formula: '1d20 + 5', dice: [...],
+   *             critical: false, fumble: false, messageId: 'msg1', buttons: [...] }
+   * }
+   * Sample (failure): {
+   *   ...,
+   *   success: false,
+   *   error: { code: 'ROLL_TIMEOUT', message: 'Roll result capture timeout' }
+   * }
+   * @param {Object} request - The PLAY message being answered
+   * @param {Object} response - { result } or { error } (a PlayError)
+   */
+  sendRollResult(request, { result = null, error = null } = {}) {
+    if (!request.requestId) return;
+    
+    this.sendRequestResponse(request, MessageType.PLAY_ROLL_RESULT, {
+      actorId: request.actorId,
+      success: !error,
+      result: error ? undefined : result,
+      error: error ? error.toJSON() : undefined
+    });
+  }
+
+  /**
+   * Send a full actor document to the clients bound to it
+   * Used when there is no baseline to diff against
+   * @param {string} actorId - Actor ID
+   * @param {Object} actorData - Extracted character data
+   * @param {Object} revision - Revision info {rev, hash, hashes}
+   * @returns {number} Number of clients the data was sent to
+   */
+  sendActorData(actorId, actorData, revision) {
+    const clients = this.getClientsForActor(actorId);
+    
+    for (const client of clients) {
+      const schemaVersion = this.getClientSchema(client.clientId);
+      this.sendMessage({
+        type: MessageType.SETUP_SEND_ACTOR,
+        to: client.clientId,
+        actor: SchemaRegistry.migrate(actorData, schemaVersion),
+        rev: revision.rev,
+        hash: revision.hashes[schemaVersion]
+      });
+    }
+    
+    return clients.length;
+  }
+
+  /**
+   * Message: PLAY:COMBAT:START / PLAY:COMBAT:NEXT (to mobile)
+   * Sample: {
+   *   type: 'PLAY:COMBAT:NEXT',
+   *   combatId: 'combat1',
+   *   round: 2,
+   *   turn: 1,                   // index into order, null on a hidden turn
+   *   currentCombatantId: 'cmb2',
+   *   order: [{ combatantId: 'cmb1', actorId: 'actor1', name: 'Aria', img: '...',
+   *             initiative: 18, defeated: false, isPlayer: true }, ...]
+   * }
+   * Message: PLAY:COMBAT:YOU (to the client bound to the active actor)
+   * Sample: { type: 'PLAY:COMBAT:YOU', to: 'mobile-client-id', combatId: 'combat1',
+   *           actorId: 'actor1', combatantId: 'cmb1', round: 2 }
+   * Message: PLAY:COMBAT:END
+   * Sample: { type: 'PLAY:COMBAT:END', combatId: 'combat1', round: 5 }
    */
   sendCombatUpdate(updateType, data) {
     if (this.connectionState !== ConnectionState.PLAY) {
@@ -1117,6 +1724,64 @@ export class WebSocketHandler {
     });
   }
 
+  /**
+   * Message: PLAY:DEATH:DYING / PLAY:DEATH:SAVE / PLAY:DEATH:STABLE /
+   *          PLAY:DEATH:DEAD / PLAY:DEATH:REVIVED (to mobile)
+   * Sample: { type: 'PLAY:DEATH:SAVE', to: 'mobile-client-id', actorId: 'actor1',
+   *           state: 'dying', deathSaves: { success: 1, failure: 2 }, hp: 0 }
+   * Sample: { type: 'PLAY:DEATH:REVIVED', to: 'mobile-client-id', actorId: 'actor1',
+   *           state: 'alive', deathSaves: { success: 0, failure: 0 }, hp: 1,
+   *           reason: 'nat20' }  // or 'healed'
+   */
+  sendDeathUpdate(event, data) {
+    if (this.connectionState !== ConnectionState.PLAY) {
+      return;
+    }
+    
+    let messageType;
+    switch (event) {
+      case 'dying':
+        messageType = MessageType.PLAY_DEATH_DYING;
+        break;
+      case 'save':
+        messageType = MessageType.PLAY_DEATH_SAVE;
+        break;
+      case 'stable':
+        messageType = MessageType.PLAY_DEATH_STABLE;
+        break;
+      case 'dead':
+        messageType = MessageType.PLAY_DEATH_DEAD;
+        break;
+      case 'revived':
+        messageType = MessageType.PLAY_DEATH_REVIVED;
+        break;
+      default:
+        return;
+    }
+    
+    this.sendMessage({
+      type: messageType,
+      ...data
+    });
+  }
+
+  /**
+   * Message: PLAY:CONCENTRATION:CHECK (to mobile)
+   * Sample: { type: 'PLAY:CONCENTRATION:CHECK', to: 'mobile-client-id', actorId: 'actor1',
+   *           dc: 11, damage: 22, ability: 'con', effectId: 'effect1', name: 'Concentrating: Bless' }
+   * Answered with PLAY:SAVE:CONCENTRATION.
+   */
+  sendConcentrationCheck(data) {
+    if (this.connectionState !== ConnectionState.PLAY) {
+      return;
+    }
+    
+    this.sendMessage({
+      type: MessageType.PLAY_CONCENTRATION_CHECK,
+      ...data
+    });
+  }
+
   // ============================================================================
   // State Management
   // ============================================================================